@@ -0,0 +1,593 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { program } = require('commander');
+const chalk = require('chalk');
+const ora = require('ora');
+const {
+  createCrawler,
+  categorizeIssues,
+  DEFAULTS,
+  EXIT_CODES
+} = require('./index');
+const { validateOverrides } = require('./lib/options');
+const { formatFailureCategories } = require('./lib/failures');
+
+// Helper function to collect repeatable CLI options into an array
+function collectValues(value, previous) {
+  return previous.concat([value]);
+}
+
+// CLI configuration
+program
+  .version('1.0.0')
+  .description('Crawl a website and generate accessibility reports using pa11y')
+  .argument(
+    '[urls...]',
+    'URLs to start crawling from (e.g., https://example.com https://docs.example.com)'
+  )
+  .option(
+    '--config <file>',
+    'Configuration file (default: pa11y-crawler.config.js or .json in the current directory)'
+  )
+  .option('-d, --depth <number>', 'Maximum crawl depth', DEFAULTS.depth)
+  .option(
+    '-o, --output <directory>',
+    'Output directory for reports',
+    DEFAULTS.output
+  )
+  .option(
+    '-c, --concurrency <number>',
+    'Maximum concurrent pages to analyze',
+    DEFAULTS.concurrency
+  )
+  .option(
+    '-p, --project-key <string>',
+    'Project key for reports',
+    DEFAULTS.projectKey
+  )
+  .option(
+    '-t, --timeout <number>',
+    'Page navigation timeout in milliseconds',
+    DEFAULTS.timeout
+  )
+  .option('--summary <text>', 'Custom summary for the report')
+  .option(
+    '--allowed-hosts <hosts>',
+    'Comma-separated hosts to crawl, * wildcards allowed (default: the hosts of the start URLs)'
+  )
+  .option(
+    '--include <patterns>',
+    'Comma-separated globs or re:regexes, only matching URLs are crawled'
+  )
+  .option(
+    '--exclude <patterns>',
+    'Comma-separated globs or re:regexes of URLs not to crawl, wins over --include'
+  )
+  .option(
+    '--drop-params <params>',
+    'Comma-separated query parameters removed from URLs, * wildcards allowed',
+    DEFAULTS.dropParams.join(',')
+  )
+  .option(
+    '--allow-params <params>',
+    'Comma-separated query parameters to keep, all others are removed'
+  )
+  .option('--no-sort-query', 'Keep query parameters in their original order')
+  .option('--no-collapse-index', 'Treat /index.html and / as different pages')
+  .option(
+    '--lowercase-paths',
+    'Treat URL paths that differ only in case as one page'
+  )
+  .option(
+    '--canonical',
+    'Identify pages by their <link rel="canonical"> URL and skip duplicates'
+  )
+  .option(
+    '--standard <standard>',
+    'Accessibility standard to test against',
+    DEFAULTS.standard
+  )
+  .option(
+    '--runners <runners>',
+    'Comma-separated pa11y test runners (axe, htmlcs)',
+    DEFAULTS.runners.join(',')
+  )
+  .option(
+    '--wait <ms>',
+    'Time to wait after page load before testing, in milliseconds',
+    DEFAULTS.wait
+  )
+  .option(
+    '--wait-for <selector>',
+    'Wait for this CSS selector after page load, instead of --wait'
+  )
+  .option(
+    '--wait-for-network-idle',
+    'Wait for the network to be idle after page load, instead of --wait'
+  )
+  .option(
+    '--viewports <viewports>',
+    'Comma-separated name=WIDTHxHEIGHT viewports to audit each page at',
+    DEFAULTS.viewports.join(',')
+  )
+  .option(
+    '--color-schemes <schemes>',
+    'Comma-separated prefers-color-scheme values (light, dark) to audit each viewport in'
+  )
+  .option('--reduced-motion', 'Emulate prefers-reduced-motion: reduce')
+  .option('--include-notices', 'Include notices in the report')
+  .option('--include-warnings', 'Include warnings in the report')
+  .option(
+    '--shared-threshold <share>',
+    'Share of pages, like 0.5 or 50%, an issue must exceed to count as a shared component issue',
+    String(DEFAULTS.sharedThreshold)
+  )
+  .option(
+    '--shared-issues <mode>',
+    'Shared component issues in page reports: tag them, or hide them',
+    DEFAULTS.sharedIssues
+  )
+  .option(
+    '--screenshots',
+    'Capture a screenshot of each page and crops of the failing elements'
+  )
+  .option(
+    '--max-screenshots <number>',
+    'Maximum number of element crops per page',
+    DEFAULTS.maxScreenshots
+  )
+  .option(
+    '--max-screenshot-height <px>',
+    'Height in pixels at which page screenshots are cut off',
+    DEFAULTS.maxScreenshotHeight
+  )
+  .option(
+    '-f, --format <formats>',
+    'Comma-separated report formats to generate (html, json, junit, sarif)',
+    DEFAULTS.format
+  )
+  .option(
+    '--fail-on-errors <number>',
+    'Exit with code 2 when total errors exceed this number'
+  )
+  .option(
+    '--fail-on-warnings <number>',
+    'Exit with code 3 when total warnings exceed this number'
+  )
+  .option(
+    '--max-errors-per-page <number>',
+    'Exit with code 4 when any page has more errors than this number'
+  )
+  .option(
+    '--fail-on-page-errors',
+    'Exit with code 5 when any page could not be analyzed'
+  )
+  .option(
+    '--page-timeout <duration>',
+    'Hard limit for analyzing one page (default: (2 × --timeout + --wait) × profiles × (states + 1))'
+  )
+  .option(
+    '--retries <number>',
+    'Attempts after the first for pages that time out or fail to load',
+    DEFAULTS.retries
+  )
+  .option(
+    '--retry-delay <ms>',
+    'Wait before the first retry in milliseconds, doubling with each retry',
+    DEFAULTS.retryDelay
+  )
+  .option(
+    '--max-duration <duration>',
+    'Stop starting new pages after this long, e.g. 30m or 2h, and report what completed'
+  )
+  .option(
+    '--resume',
+    'Continue the crawl saved in the output directory checkpoint, skipping analyzed pages'
+  )
+  .option(
+    '--report-only',
+    'Regenerate the reports from the output directory checkpoint without crawling'
+  )
+  .option(
+    '--recycle-browser-after <pages>',
+    'Restart the browser after this many pages to bound memory use (0 never restarts)',
+    DEFAULTS.recycleBrowserAfter
+  )
+  .option('--ignore-robots', 'Crawl pages even when robots.txt disallows them')
+  .option(
+    '--debug',
+    'Print every URL left out of the crawl and the rule that excluded it'
+  )
+  .option(
+    '--delay <ms>',
+    'Minimum delay between page requests in milliseconds',
+    DEFAULTS.delay
+  )
+  .option(
+    '--max-requests-per-minute <number>',
+    'Maximum number of page requests per minute'
+  )
+  .option(
+    '--login-url <url>',
+    'Login page, opened before the login actions and used to detect lost sessions'
+  )
+  .option(
+    '--login-actions <file>',
+    'JSON file with pa11y-style actions that log in before the crawl'
+  )
+  .option(
+    '--login-script <file>',
+    'Script exporting an async function (page, context) that logs in before the crawl'
+  )
+  .option(
+    '--cookies <file>',
+    'Cookie jar to import, as a JSON array or Netscape cookies.txt file'
+  )
+  .option(
+    '--header <header>',
+    'Extra request header as "Name: value", can be repeated',
+    collectValues,
+    DEFAULTS.header
+  )
+  .option('--basic-auth <credentials>', 'HTTP basic auth as user:password')
+  .option(
+    '--sitemap [url]',
+    'Seed the crawl from a sitemap (default: /sitemap.xml on the start URL origin)'
+  )
+  .option(
+    '--sitemap-only',
+    'Only audit pages listed in the sitemap, without following links'
+  )
+  .option(
+    '--sitemap-since <date>',
+    'Skip sitemap entries whose lastmod is older than this date'
+  )
+  .option(
+    '--suppressions <file>',
+    'JSON file of accepted issues to leave out of the totals and thresholds'
+  )
+  .option(
+    '--baseline <path>',
+    'Previous summary.json or report directory to compare issues against'
+  )
+  .option(
+    '--fail-on-new-errors <number>',
+    'Exit with code 6 when errors not present in the baseline exceed this number'
+  )
+  .parse(process.argv);
+
+// Function to find and read the configuration file, if there is one
+function loadConfigFile(configPath) {
+  const candidates = configPath
+    ? [configPath]
+    : ['pa11y-crawler.config.js', 'pa11y-crawler.config.json'].filter((file) =>
+        fs.existsSync(file)
+      );
+  if (candidates.length === 0) return null;
+
+  const filePath = path.resolve(candidates[0]);
+  const fileConfig = filePath.endsWith('.json')
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    : require(filePath);
+
+  validateConfigFile(fileConfig, filePath);
+  return { filePath, fileConfig };
+}
+
+// Function to check a configuration file against the known CLI options
+function validateConfigFile(fileConfig, filePath) {
+  const fail = (message) => {
+    throw new Error(`${filePath}: ${message}`);
+  };
+
+  if (
+    !fileConfig ||
+    typeof fileConfig !== 'object' ||
+    Array.isArray(fileConfig)
+  ) {
+    fail('must export an object');
+  }
+
+  const knownOptions = new Map(
+    program.options
+      .filter(
+        (option) => option.long !== '--version' && option.long !== '--config'
+      )
+      .map((option) => [option.attributeName(), option])
+  );
+
+  Object.entries(fileConfig).forEach(([key, value]) => {
+    if (key === 'url') {
+      if (
+        typeof value !== 'string' &&
+        !(
+          Array.isArray(value) &&
+          value.length > 0 &&
+          value.every((url) => typeof url === 'string')
+        )
+      ) {
+        fail('"url" must be a string or an array of strings');
+      }
+      return;
+    }
+    if (key === 'overrides') {
+      validateOverrides(value, fail);
+      return;
+    }
+    // Inline suppressions are checked when they are loaded
+    if (key === 'suppressions' && Array.isArray(value)) return;
+
+    const option = knownOptions.get(key);
+    if (!option) {
+      fail(
+        `unknown option "${key}", expected one of: url, overrides, ${[
+          ...knownOptions.keys()
+        ].join(', ')}`
+      );
+    }
+
+    // Flags without a value only accept booleans
+    const isFlag = !option.required && !option.optional;
+    // A .js file may give include and exclude rules as RegExps
+    const isValue = ['include', 'exclude'].includes(key)
+      ? (item) => typeof item === 'string' || item instanceof RegExp
+      : (item) => ['string', 'number'].includes(typeof item);
+    const isValid = isFlag
+      ? typeof value === 'boolean'
+      : isValue(value) ||
+        (option.optional && typeof value === 'boolean') ||
+        (Array.isArray(value) && value.every(isValue));
+    if (!isValid) {
+      fail(`"${key}" has an invalid value ${String(value)}`);
+    }
+  });
+}
+
+// Function to collect the crawler options from the CLI and configuration file
+function getCrawlerOptions() {
+  // CLI flags take precedence over the configuration file
+  let configFile;
+  try {
+    configFile = loadConfigFile(program.opts().config);
+  } catch (error) {
+    throw new Error(`Invalid configuration file - ${error.message}`);
+  }
+  const { config, ...options } = program.opts();
+
+  if (configFile) {
+    Object.entries(configFile.fileConfig).forEach(([key, value]) => {
+      if (key !== 'url' && program.getOptionValueSource(key) !== 'cli') {
+        options[key] = value;
+      }
+    });
+  }
+
+  return {
+    ...options,
+    url:
+      program.args.length > 0
+        ? program.args
+        : configFile
+        ? configFile.fileConfig.url
+        : undefined,
+    configFile: configFile ? configFile.filePath : null
+  };
+}
+
+// Function to print the statistics and written reports of a finished crawl
+function printResults(crawlResults, config) {
+  const { summary: summaryData, breaches, meta } = crawlResults;
+
+  if (meta.stopReason) {
+    console.error(
+      chalk.yellow(
+        `Warning: Crawl stopped (${meta.stopReason}), ${meta.pagesNotVisited} queued pages were not visited`
+      )
+    );
+  }
+
+  crawlResults.reports.forEach(({ reporter, path: reportPath }) => {
+    console.log(
+      chalk.green(`${reporter} report written to ${path.resolve(reportPath)}`)
+    );
+  });
+
+  if (summaryData.totalPages > 0 || summaryData.totalFailed > 0) {
+    if (config.formats.includes('html')) {
+      console.log(
+        chalk.green(
+          `\nOpen the report: ${path.resolve(config.outputDir, 'index.html')}`
+        )
+      );
+    }
+
+    // Print summary statistics
+    console.log(chalk.cyan('\n📊 Summary Statistics:'));
+    console.log(chalk.cyan(`Pages analyzed: ${summaryData.totalPages}`));
+    console.log(chalk.red(`Total errors: ${summaryData.totalErrors}`));
+    console.log(chalk.yellow(`Total warnings: ${summaryData.totalWarnings}`));
+    console.log(chalk.blue(`Total notices: ${summaryData.totalNotices}`));
+    if (summaryData.totalFailed > 0) {
+      console.log(
+        chalk.red(
+          `Pages not analyzed: ${
+            summaryData.totalFailed
+          } (${formatFailureCategories(summaryData.failureCategories)})`
+        )
+      );
+    }
+    if (summaryData.brokenLinks.length > 0) {
+      console.log(
+        chalk.red(`Broken internal links: ${summaryData.brokenLinks.length}`)
+      );
+    }
+    if (summaryData.linkErrors.length > 0) {
+      console.log(
+        chalk.yellow(
+          `Pages whose links could not be collected: ${summaryData.linkErrors.length}`
+        )
+      );
+    }
+    if (config.baseline) {
+      console.log(
+        chalk.cyan(
+          `Compared to baseline: ${summaryData.totalNewIssues} new (${summaryData.totalNewErrors} errors), ${summaryData.totalFixed} fixed`
+        )
+      );
+    }
+  }
+
+  // Report threshold breaches, the first one decides the exit code
+  if (breaches.length > 0) {
+    console.log(chalk.red('\n🚫 Thresholds breached:'));
+    breaches.forEach((breach) =>
+      console.log(chalk.red(`  [exit ${breach.exitCode}] ${breach.message}`))
+    );
+  }
+}
+
+// Main function
+async function main() {
+  let crawler;
+  try {
+    crawler = createCrawler(getCrawlerOptions());
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(EXIT_CODES.FATAL);
+  }
+  const { config } = crawler;
+
+  console.log(
+    chalk.blue(`
+  ╔════════════════════════════════════════════════╗
+  ║          Site Accessibility Crawler           ║
+  ║                 (using pa11y)                  ║
+  ╚════════════════════════════════════════════════╝
+  `)
+  );
+  console.log(chalk.cyan(`Starting crawl of ${config.startUrls.join(', ')}`));
+  if (config.allowedHosts.length > 1) {
+    console.log(chalk.cyan(`Allowed hosts: ${config.allowedHosts.join(', ')}`));
+  }
+  console.log(chalk.cyan(`Standard: ${config.standard}`));
+  if (config.profiles.length > 1) {
+    console.log(
+      chalk.cyan(
+        `Profiles: ${config.profiles.map((profile) => profile.name).join(', ')}`
+      )
+    );
+  }
+  console.log(chalk.cyan(`Max depth: ${config.depth}`));
+  console.log(chalk.cyan(`Output directory: ${config.outputDir}`));
+  console.log(chalk.cyan(`Include warnings: ${config.includeWarnings}`));
+  console.log(chalk.cyan(`Include notices: ${config.includeNotices}`));
+
+  const spinner = ora(`Starting crawl from ${config.url}`).start();
+  let queued = 0;
+  let analyzed = 0;
+  const updateProgress = () => {
+    spinner.text = `Crawled ${analyzed} pages, ${
+      queued - analyzed
+    } remaining...`;
+  };
+
+  crawler.on('pageQueued', () => {
+    queued++;
+    updateProgress();
+  });
+  crawler.on('pageAnalyzed', ({ url, results }) => {
+    analyzed++;
+    updateProgress();
+    const { errors, warnings, notices } = categorizeIssues(results);
+    console.log(
+      chalk.green(
+        `✓ Analyzed: ${url} (${errors.length} errors, ${warnings.length} warnings, ${notices.length} notices)`
+      )
+    );
+  });
+  crawler.on('pageFailed', ({ url, error, category, attempts }) => {
+    analyzed++;
+    updateProgress();
+    console.error(
+      chalk.red(
+        category === 'session-lost'
+          ? `Session lost: ${url} redirected to the login page`
+          : `Error analyzing ${url} (${category}${
+              attempts > 1 ? `, ${attempts} attempts` : ''
+            }): ${error}`
+      )
+    );
+  });
+  crawler.on('pageRetry', ({ url, error, attempts, delay }) => {
+    console.log(
+      chalk.yellow(
+        `↻ Retrying ${url} in ${delay}ms after attempt ${attempts}: ${error}`
+      )
+    );
+  });
+  crawler.on('pageSkipped', ({ url, duplicateOf, reason, contentType }) => {
+    analyzed++;
+    updateProgress();
+    console.log(
+      chalk.gray(
+        reason === 'non-html'
+          ? `↷ Skipped: ${url} (not HTML, ${contentType})`
+          : `↷ Skipped: ${url} (${reason} to ${duplicateOf})`
+      )
+    );
+  });
+  if (config.debug) {
+    crawler.on('urlExcluded', ({ url, reason }) => {
+      console.log(chalk.gray(`⊘ Excluded: ${url} (${reason})`));
+    });
+  }
+  crawler.on('warning', (message) => {
+    console.error(chalk.yellow(`Warning: ${message}`));
+  });
+  crawler.on('info', (message) => {
+    console.log(chalk.cyan(message));
+  });
+  crawler.on('crawlComplete', ({ summary }) => {
+    if (summary.totalPages > 0 && summary.totalFailed > 0) {
+      spinner.warn(
+        `Crawling complete! Analyzed ${summary.totalPages} pages, ${summary.totalFailed} could not be analyzed.`
+      );
+    } else if (summary.totalPages > 0) {
+      spinner.succeed(
+        `Crawling complete! Analyzed ${summary.totalPages} pages.`
+      );
+    } else {
+      spinner.fail('No pages were successfully analyzed.');
+    }
+  });
+
+  // The first Ctrl+C lets the pages in progress finish, a second one aborts
+  let interrupted = false;
+  process.on('SIGINT', () => {
+    if (interrupted) process.exit(EXIT_CODES.INTERRUPTED);
+    interrupted = true;
+    crawler.stop('interrupted');
+    console.error(
+      chalk.yellow(
+        '\nStopping after the pages in progress, press Ctrl+C again to abort'
+      )
+    );
+  });
+
+  try {
+    const crawlResults = await crawler.run();
+    printResults(crawlResults, config);
+    process.exitCode = crawlResults.exitCode;
+  } catch (error) {
+    spinner.fail(`Crawl failed: ${error.message}`);
+    console.error(chalk.red(`\nError: ${error.message}`));
+    process.exit(EXIT_CODES.FATAL);
+  }
+}
+
+main().catch((error) => {
+  console.error(chalk.red(`Fatal error: ${error.message}`));
+  process.exit(EXIT_CODES.FATAL);
+});
@@ -0,0 +1,84 @@
+const puppeteer = require('puppeteer');
+
+// Function to launch the headless browser used by the crawl
+function launchBrowser() {
+  return puppeteer.launch({
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+    // The CLI handles Ctrl+C itself, so pages in progress can finish
+    handleSIGINT: false
+  });
+}
+
+// Function to share one browser between pages, restarting it every few pages
+function createBrowserPool(config, injectedBrowser) {
+  let current = null;
+  let launching = null;
+
+  // Recycling would close a browser the caller still owns
+  const isWornOut = (entry) =>
+    !injectedBrowser &&
+    config.recycleBrowserAfter > 0 &&
+    entry.pages >= config.recycleBrowserAfter;
+
+  const closeWhenIdle = async (entry) => {
+    if (entry.retired && entry.active === 0) await entry.browser.close();
+  };
+
+  // Function to start the first browser, or replace a worn out one
+  const startBrowser = () => {
+    if (!launching) {
+      launching = (async () => {
+        const previous = current;
+        const browser =
+          injectedBrowser && !previous
+            ? injectedBrowser
+            : await launchBrowser();
+
+        // Carry the session over, the login cookies live in the old browser
+        if (previous) {
+          const cookies = await previous.browser.cookies();
+          if (cookies.length > 0) await browser.setCookie(...cookies);
+          previous.retired = true;
+          await closeWhenIdle(previous);
+        }
+
+        current = { browser, pages: 0, active: 0, retired: false };
+      })().finally(() => {
+        launching = null;
+      });
+    }
+    return launching;
+  };
+
+  return {
+    // Function to borrow the browser for one page, release it when done
+    async acquire() {
+      while (!current || isWornOut(current)) await startBrowser();
+
+      const entry = current;
+      entry.pages++;
+      entry.active++;
+      return {
+        browser: entry.browser,
+        release: async () => {
+          entry.active--;
+          await closeWhenIdle(entry);
+        }
+      };
+    },
+
+    // Function to close the pool's own browsers, an injected one stays open
+    async close() {
+      if (launching) await launching.catch(() => {});
+      if (current && current.browser !== injectedBrowser) {
+        current.retired = true;
+        await closeWhenIdle(current);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createBrowserPool
+};
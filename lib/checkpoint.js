@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+// Name of the checkpoint file in the output directory
+const CHECKPOINT_FILE = 'checkpoint.jsonl';
+
+// Function to start a checkpoint, or keep appending to the one being resumed
+function openCheckpoint(config, startTime, resume) {
+  const checkpointPath = path.join(config.outputDir, CHECKPOINT_FILE);
+  fs.mkdirSync(config.outputDir, { recursive: true });
+
+  if (!resume) {
+    fs.writeFileSync(
+      checkpointPath,
+      `${JSON.stringify({
+        type: 'start',
+        // Several start URLs are stored space separated
+        url: config.startUrls.join(' '),
+        startTime: startTime.toISOString()
+      })}\n`
+    );
+  } else {
+    // Cut a line a crash left half written, new entries would be appended to it
+    const content = fs.readFileSync(checkpointPath, 'utf8');
+    if (content && !content.endsWith('\n')) {
+      fs.truncateSync(
+        checkpointPath,
+        Buffer.byteLength(content.slice(0, content.lastIndexOf('\n') + 1))
+      );
+    }
+  }
+
+  return {
+    path: checkpointPath,
+    // Entries are appended one per line, so a crash loses at most the last one
+    record(entry) {
+      fs.appendFileSync(checkpointPath, `${JSON.stringify(entry)}\n`);
+    }
+  };
+}
+
+// Function to read back the queued, analyzed, failed and skipped pages of a checkpoint
+function loadCheckpoint(config) {
+  const checkpointPath = path.join(config.outputDir, CHECKPOINT_FILE);
+  if (!fs.existsSync(checkpointPath)) {
+    throw new Error(`No checkpoint found at ${checkpointPath}`);
+  }
+
+  const lines = fs
+    .readFileSync(checkpointPath, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim());
+  const saved = {
+    path: checkpointPath,
+    startTime: null,
+    queued: new Map(),
+    pages: new Map(),
+    failedPages: new Map(),
+    skippedPages: new Map()
+  };
+
+  lines.forEach((line, index) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // A crash can leave the last line half written
+      if (index === lines.length - 1) return;
+      throw new Error(`${checkpointPath} line ${index + 1} is not valid JSON`);
+    }
+
+    if (entry.type === 'start') {
+      const startUrls = config.startUrls.join(' ');
+      if (entry.url !== startUrls) {
+        throw new Error(
+          `${checkpointPath} belongs to a crawl of ${entry.url}, not ${startUrls}`
+        );
+      }
+      saved.startTime = new Date(entry.startTime);
+    } else if (entry.type === 'queued' && !saved.queued.has(entry.url)) {
+      saved.queued.set(entry.url, entry.depth);
+    } else if (entry.type === 'analyzed') {
+      saved.pages.set(entry.page.url, entry.page);
+      saved.failedPages.delete(entry.page.requestedUrl || entry.page.url);
+    } else if (entry.type === 'failed') {
+      saved.failedPages.set(entry.failure.url, entry.failure);
+    } else if (entry.type === 'skipped') {
+      saved.skippedPages.set(entry.skip.url, entry.skip);
+      saved.failedPages.delete(entry.skip.url);
+    }
+  });
+
+  if (!saved.startTime) {
+    throw new Error(`${checkpointPath} is not a pa11y-crawler checkpoint`);
+  }
+
+  return {
+    path: checkpointPath,
+    startTime: saved.startTime,
+    queued: [...saved.queued].map(([url, depth]) => ({ url, depth })),
+    pages: [...saved.pages.values()],
+    failedPages: [...saved.failedPages.values()],
+    skippedPages: [...saved.skippedPages.values()]
+  };
+}
+
+module.exports = {
+  CHECKPOINT_FILE,
+  openCheckpoint,
+  loadCheckpoint
+};
@@ -0,0 +1,936 @@
+const EventEmitter = require('events');
+const path = require('path');
+const pa11y = require('pa11y');
+const { createBrowserPool } = require('./browser');
+const { loadCheckpoint, openCheckpoint } = require('./checkpoint');
+const { getPageSettings, resolveOptions } = require('./options');
+const {
+  compareWithBaseline,
+  findSharedIssues,
+  fingerprintIssue,
+  mergeRunIssues
+} = require('./issues');
+const { writeManifest } = require('./manifest');
+const { loadRobotsRules, isAllowedByRobots } = require('./robots');
+const {
+  createSessionPage,
+  getRequestHeaders,
+  isLoginPage,
+  logIn
+} = require('./session');
+const { loadSitemapUrls } = require('./sitemap');
+const {
+  EXIT_CODES,
+  buildSummaryData,
+  evaluateThresholds
+} = require('./summary');
+const { applySuppressions, summarizeSuppressions } = require('./suppressions');
+const { captureScreenshots } = require('./screenshots');
+const { classifyFailure, createHttpError, isRetryable } = require('./failures');
+const { applyProfile } = require('./profiles');
+const { mergeRunnerIssues } = require('./runners');
+const { createThrottle } = require('./throttle');
+const {
+  extractLinks,
+  getExclusionReason,
+  getPageReportDir,
+  normalizeUrl
+} = require('./urls');
+
+// Function to add a page to the crawl queue, unless it was seen before or is too deep
+function queuePage(crawl, url, depth, source) {
+  if (crawl.visitedUrls.has(url) || depth >= crawl.config.depth) return false;
+
+  crawl.visitedUrls.add(url);
+  crawl.pageQueue.push({ url, depth });
+  crawl.checkpoint.record({ type: 'queued', url, depth });
+  crawl.emitter.emit('pageQueued', { url, depth, source });
+  // Idle workers pick the page up now, not when the next page finishes
+  if (crawl.fillWorkers) crawl.fillWorkers();
+  return true;
+}
+
+// Function to get the robots.txt rules of a URL's origin, fetched once per origin
+function getRobotsRules(crawl, url) {
+  const { config, emitter } = crawl;
+  if (config.ignoreRobots) return Promise.resolve(null);
+
+  const { origin } = new URL(url);
+  if (!crawl.robotsRules.has(origin)) {
+    const loading = loadRobotsRules(origin, {
+      headers: getRequestHeaders(config),
+      timeout: config.timeout
+    }).then((robotsRules) => {
+      if (robotsRules.disallowAll) {
+        emitter.emit(
+          'warning',
+          `${robotsRules.robotsUrl} could not be fetched, treating the site as disallowed (use --ignore-robots to override)`
+        );
+      }
+      if (robotsRules.crawlDelay) {
+        // One throttle paces the whole crawl, so the slowest origin sets it
+        crawl.crawlDelay = Math.max(crawl.crawlDelay, robotsRules.crawlDelay);
+        emitter.emit(
+          'info',
+          `Honoring ${robotsRules.robotsUrl} Crawl-delay: ${robotsRules.crawlDelay}s`
+        );
+      }
+      return robotsRules;
+    });
+    crawl.robotsRules.set(origin, loading);
+  }
+  return crawl.robotsRules.get(origin);
+}
+
+// Function to explain why the crawl leaves a URL out, robots.txt is only fetched for allowed hosts
+async function getCrawlExclusionReason(crawl, url) {
+  return (
+    getExclusionReason(url, crawl.config) ||
+    getExclusionReason(url, crawl.config, await getRobotsRules(crawl, url))
+  );
+}
+
+// Function to check a discovered URL against the crawl rules, reporting it once if excluded
+async function isCrawlable(crawl, url, source) {
+  if (
+    crawl.visitedUrls.has(url) ||
+    crawl.redirectedUrls.has(url) ||
+    crawl.excludedUrls.has(url)
+  ) {
+    return false;
+  }
+
+  const reason = await getCrawlExclusionReason(crawl, url);
+  if (!reason) return true;
+  if (crawl.excludedUrls.has(url)) return false;
+
+  crawl.excludedUrls.add(url);
+  crawl.emitter.emit('urlExcluded', { url, reason, source });
+  return false;
+}
+
+// Function to write a page's reports, returning their paths in the output directory
+async function writePageReports(pageResult, config) {
+  const reportFiles = [];
+  for (const reporter of config.reporters) {
+    if (!reporter.writePage) continue;
+    const written = await reporter.writePage(pageResult, config);
+    []
+      .concat(written || [])
+      .forEach((reportPath) =>
+        reportFiles.push(
+          path.relative(config.outputDir, reportPath).split(path.sep).join('/')
+        )
+      );
+  }
+  return reportFiles;
+}
+
+// Function to record a page that could not be analyzed
+function recordFailure(crawl, failure) {
+  crawl.failedPages.push(failure);
+  crawl.checkpoint.record({ type: 'failed', failure });
+  crawl.emitter.emit('pageFailed', failure);
+}
+
+// Function to queue the links of a loaded page, returning its internal links or the error if it could not
+async function queueLinks(crawl, page, url, depth) {
+  const { config } = crawl;
+  const internalLinks = [];
+
+  try {
+    const links = await extractLinks(page);
+
+    // Add new links to the queue
+    for (const link of links) {
+      const normalizedLink = normalizeUrl(link, url, config.urlRules);
+      if (!normalizedLink) continue;
+      // Kept for the broken links report, whether or not this page queues them
+      if (!getExclusionReason(normalizedLink, config)) {
+        internalLinks.push(normalizedLink);
+      }
+      if (await isCrawlable(crawl, normalizedLink, 'link')) {
+        queuePage(crawl, normalizedLink, depth + 1, 'link');
+      }
+    }
+    return { links: [...new Set(internalLinks)], linkError: null };
+  } catch (error) {
+    crawl.emitter.emit(
+      'warning',
+      `Could not extract links from ${url}: ${error.message}`
+    );
+    return { links: [], linkError: error.message };
+  }
+}
+
+// Function to record a page left out because it duplicates one already crawled
+function recordSkip(crawl, skip) {
+  crawl.skippedPages.push(skip);
+  crawl.checkpoint.record({ type: 'skipped', skip });
+  crawl.emitter.emit('pageSkipped', skip);
+}
+
+// Function to work out which URL a loaded page really is, after redirects and canonicals
+async function getEffectiveUrl(crawl, page, url) {
+  const { config } = crawl;
+  const finalUrl = normalizeUrl(page.url(), url, config.urlRules) || url;
+  let effective = { effectiveUrl: finalUrl, reason: 'redirect' };
+
+  if (config.canonical) {
+    const canonicalHref = await page
+      .evaluate(() => {
+        const link = document.querySelector('link[rel="canonical"][href]');
+        return link ? link.href : null;
+      })
+      .catch(() => null);
+    const canonicalUrl =
+      canonicalHref && normalizeUrl(canonicalHref, finalUrl, config.urlRules);
+    if (canonicalUrl) {
+      effective = { effectiveUrl: canonicalUrl, reason: 'canonical' };
+    }
+  }
+
+  // A target outside the crawl does not replace the page's identity
+  if (
+    effective.effectiveUrl !== url &&
+    (await getCrawlExclusionReason(crawl, effective.effectiveUrl))
+  ) {
+    return { effectiveUrl: url, reason: null };
+  }
+  return effective;
+}
+
+// Function to describe the response a page was loaded from, with the redirects that led to it
+function getResponseDetails(crawl, response, url) {
+  const { urlRules } = crawl.config;
+  const normalize = (responseUrl) =>
+    normalizeUrl(responseUrl, url, urlRules) || responseUrl;
+
+  return {
+    status: response.status(),
+    finalUrl: normalize(response.url()),
+    contentType: response.headers()['content-type'] || null,
+    redirects: response
+      .request()
+      .redirectChain()
+      .map((request) => ({
+        url: normalize(request.url()),
+        status: request.response() ? request.response().status() : null
+      }))
+  };
+}
+
+// Function to wait for a loaded page's readiness conditions, client-rendered content needs them
+async function waitUntilReady(page, settings) {
+  const { ready, timeout } = settings;
+  if (!ready) return;
+
+  if (ready.selector) {
+    await page.waitForSelector(ready.selector, { timeout });
+  }
+  if (ready.networkIdle) {
+    await page.waitForNetworkIdle({ idleTime: 500, timeout });
+  }
+}
+
+// Function to load a page once, queue its links and run pa11y on it
+async function analyzePage(crawl, task) {
+  const { config } = crawl;
+  const { url, depth, browser, settings } = task;
+
+  // Run pa11y in the shared browser so it sees the crawl's session
+  const page = await createSessionPage(browser, config);
+  // The hard timeout may have fired while the page opened, nothing else will close it
+  if (task.timedOut) {
+    await page.close().catch(() => {});
+    return null;
+  }
+  task.page = page;
+
+  // Navigate once, pa11y and the link extraction share this page load
+  const response = await page.goto(url, {
+    waitUntil: 'networkidle2',
+    timeout: settings.timeout
+  });
+  const responseDetails = response
+    ? getResponseDetails(crawl, response, url)
+    : null;
+  if (responseDetails) {
+    // Links to a redirecting URL are not loaded again, they lead to this page
+    responseDetails.redirects.forEach((redirect) =>
+      crawl.redirectedUrls.add(redirect.url)
+    );
+    if (responseDetails.status >= 400) {
+      throw createHttpError(responseDetails.status, responseDetails);
+    }
+
+    // Images, PDFs and other files have nothing for pa11y to test
+    if (
+      responseDetails.contentType &&
+      !/html/i.test(responseDetails.contentType)
+    ) {
+      recordSkip(crawl, {
+        url,
+        reason: 'non-html',
+        contentType: responseDetails.contentType
+      });
+      return null;
+    }
+  }
+  await waitUntilReady(page, settings);
+
+  // A redirect to the login page means the session has expired
+  if (isLoginPage(config, page.url()) && !isLoginPage(config, url)) {
+    recordFailure(crawl, {
+      url,
+      error: 'Session lost, redirected to the login page',
+      category: 'session-lost',
+      attempts: 1
+    });
+    return null;
+  }
+
+  // Pages that redirect or point their canonical to a crawled URL are duplicates
+  const { effectiveUrl, reason } = await getEffectiveUrl(crawl, page, url);
+  if (effectiveUrl !== url) {
+    if (crawl.visitedUrls.has(effectiveUrl)) {
+      recordSkip(crawl, { url, duplicateOf: effectiveUrl, reason });
+      return null;
+    }
+    crawl.visitedUrls.add(effectiveUrl);
+  }
+
+  // Extract links if we're not at max depth, before pa11y actions change the page
+  let pageLinks = { links: [], linkError: null };
+  if (depth < config.depth - 1 && !config.sitemapOnly) {
+    pageLinks = await queueLinks(crawl, page, effectiveUrl, depth);
+  }
+
+  // Configure pa11y options, it tests the page as loaded above
+  const pa11yOptions = {
+    standard: settings.standard,
+    runners: config.runners,
+    timeout: settings.timeout,
+    wait: settings.wait,
+    ignore: settings.ignore,
+    actions: settings.actions,
+    hideElements: settings.hideElements,
+    browser,
+    page,
+    ignoreUrl: true,
+    includeNotices: config.includeNotices,
+    includeWarnings: config.includeWarnings
+  };
+
+  // Every profile is audited in the page's default state and in each named state
+  const reportDir = getPageReportDir(effectiveUrl);
+  const states = [{ name: 'default', actions: [] }, ...settings.states];
+  const multipleProfiles = config.profiles.length > 1;
+  const multipleStates = states.length > 1;
+  const runs = [];
+  for (const profile of config.profiles) {
+    for (const state of states) {
+      // The first run tests the page as loaded above, the others reload it
+      if (runs.length > 0) {
+        await applyProfile(page, profile);
+        await page.goto(url, {
+          waitUntil: 'networkidle2',
+          timeout: settings.timeout
+        });
+        await waitUntilReady(page, settings);
+      }
+
+      // Run pa11y test, a state's actions run after those of the page
+      const results = await pa11y(url, {
+        ...pa11yOptions,
+        actions: [...settings.actions, ...state.actions],
+        hideElements: state.hideElements || settings.hideElements,
+        viewport: { width: profile.width, height: profile.height }
+      });
+
+      // A page that hit its hard timeout is already recorded as failed
+      if (task.timedOut) return null;
+
+      // Findings of several runners on one element and success criterion become one issue
+      if (config.runners.length > 1) {
+        results.issues = await mergeRunnerIssues(
+          page,
+          results.issues,
+          config.runners
+        );
+      }
+
+      // Accepted issues leave the results before anything counts them
+      const suppressedIssues = config.suppressions
+        ? applySuppressions(config.suppressions, effectiveUrl, results)
+        : [];
+
+      const tags = {
+        ...(multipleProfiles && { profiles: profile.name }),
+        ...(multipleStates && { states: state.name })
+      };
+      const name = Object.values(tags).join('-');
+
+      // Screenshots are a nice-to-have, a failing capture never fails the page
+      let screenshot = null;
+      if (config.screenshots) {
+        try {
+          screenshot = await captureScreenshots(
+            page,
+            results,
+            reportDir,
+            config,
+            name ? `screenshots/${name}` : undefined
+          );
+        } catch (error) {
+          crawl.emitter.emit(
+            'warning',
+            `Could not capture screenshots of ${effectiveUrl} - ${error.message}`
+          );
+        }
+        if (task.timedOut) return null;
+      }
+
+      runs.push({ name, tags, results, suppressedIssues, screenshot });
+    }
+  }
+
+  // Issues found in several runs are reported once, tagged with their profiles and states
+  const [firstRun] = runs;
+  const results =
+    runs.length > 1
+      ? {
+          ...firstRun.results,
+          issues: mergeRunIssues(
+            runs.map((run) => ({ tags: run.tags, issues: run.results.issues }))
+          )
+        }
+      : firstRun.results;
+  const suppressedIssues =
+    runs.length > 1
+      ? mergeRunIssues(
+          runs.map((run) => ({ tags: run.tags, issues: run.suppressedIssues }))
+        )
+      : firstRun.suppressedIssues;
+
+  // Mark issues as new or existing compared to the previous run
+  const comparison = config.baseline
+    ? compareWithBaseline(config.baseline, effectiveUrl, results)
+    : null;
+
+  // Generate the page reports of every reporter that writes them
+  const pageResult = {
+    url: effectiveUrl,
+    ...(effectiveUrl !== url && { requestedUrl: url }),
+    reportDir,
+    results,
+    suppressedIssues,
+    comparison,
+    settings,
+    response: responseDetails,
+    // The page was analyzed, but the pages it links to may be missing
+    ...(pageLinks.linkError && { linkError: pageLinks.linkError }),
+    links: pageLinks.links,
+    ...(multipleProfiles && { profiles: config.profiles }),
+    ...(multipleStates && {
+      states: states.map(({ name, actions }) => ({ name, actions }))
+    }),
+    // One page screenshot per run, or a single one
+    ...(runs.length > 1 &&
+      config.screenshots && {
+        screenshots: runs
+          .filter((run) => run.screenshot)
+          .map((run) => ({ name: run.name, path: run.screenshot }))
+      }),
+    ...(runs.length === 1 &&
+      firstRun.screenshot && {
+        screenshot: firstRun.screenshot
+      })
+  };
+  pageResult.reportFiles = await writePageReports(pageResult, config);
+
+  crawl.checkpoint.record({ type: 'analyzed', page: pageResult });
+  crawl.emitter.emit('pageAnalyzed', pageResult);
+  return pageResult;
+}
+
+// Function to make one attempt at a page, failing it when it exceeds its hard timeout
+async function attemptPage(crawl, url, depth) {
+  const { config } = crawl;
+  const settings = getPageSettings(config, url);
+  // Without --page-timeout, allow for navigation, the pa11y run and the wait of every profile and state
+  const pageTimeout =
+    config.pageTimeout ||
+    (settings.timeout * 2 + settings.wait) *
+      config.profiles.length *
+      (settings.states.length + 1);
+
+  // Politeness waits do not count towards the page's timeout
+  await crawl.waitForRequestSlot();
+  const { browser, release } = await crawl.browserPool.acquire();
+  const task = { url, depth, browser, settings, page: null, timedOut: false };
+  let timer;
+
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        task.timedOut = true;
+        reject(new Error(`Page analysis timed out after ${pageTimeout}ms`));
+      }, pageTimeout);
+    });
+    return await Promise.race([analyzePage(crawl, task), timeout]);
+  } catch (error) {
+    error.category = classifyFailure(error, task.timedOut);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    // Closing the page also aborts a timed out analysis
+    if (task.page) await task.page.close().catch(() => {});
+    await release();
+  }
+}
+
+// Function to analyze a page, retrying timeouts and navigation errors with backoff
+async function runAccessibilityTest(crawl, url, depth) {
+  const { config, emitter } = crawl;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await attemptPage(crawl, url, depth);
+    } catch (error) {
+      const failure = {
+        url,
+        error: error.message,
+        category: error.category,
+        ...(error.status && { status: error.status }),
+        ...(error.response && { response: error.response }),
+        attempts: attempt
+      };
+      if (
+        attempt > config.retries ||
+        !isRetryable(failure) ||
+        crawl.stopReason
+      ) {
+        recordFailure(crawl, failure);
+        return null;
+      }
+
+      // The wait doubles with every attempt
+      const delay = config.retryDelay * 2 ** (attempt - 1);
+      emitter.emit('pageRetry', { ...failure, delay });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Function to process the queue with continuously fed workers
+function processQueue(crawl) {
+  const { config } = crawl;
+
+  return new Promise((resolve) => {
+    let active = 0;
+
+    // Start pages until every worker is busy, and again whenever one finishes
+    const fillWorkers = () => {
+      while (
+        !crawl.stopReason &&
+        active < config.concurrency &&
+        crawl.pageQueue.length > 0
+      ) {
+        const { url, depth } = crawl.pageQueue.shift();
+        active++;
+        runAccessibilityTest(crawl, url, depth)
+          .then((accessibilityResult) => {
+            if (accessibilityResult) crawl.reportData.push(accessibilityResult);
+          })
+          .finally(() => {
+            active--;
+            fillWorkers();
+          });
+      }
+
+      if (active === 0) resolve();
+    };
+
+    crawl.fillWorkers = fillWorkers;
+    fillWorkers();
+  }).finally(() => {
+    crawl.fillWorkers = null;
+  });
+}
+
+// Function to fill the queue from the start URLs and the sitemaps
+async function seedQueue(crawl) {
+  const { config, emitter } = crawl;
+  const startUrls = [];
+
+  // Start URLs are audited whatever the include and exclude rules say
+  for (const url of config.startUrls) {
+    const robotsRules = await getRobotsRules(crawl, url);
+    if (robotsRules && !isAllowedByRobots(robotsRules, url)) {
+      emitter.emit(
+        'warning',
+        `${url} is disallowed by robots.txt (use --ignore-robots to override)`
+      );
+    } else {
+      startUrls.push(normalizeUrl(url, url, config.urlRules) || url);
+    }
+  }
+  const queueStartUrls = () =>
+    startUrls.forEach((url) => queuePage(crawl, url, 0, 'start'));
+
+  // Add the start URLs to the queue, unless the sitemap is the page list
+  if (!config.sitemapOnly) queueStartUrls();
+
+  if (config.sitemaps.length === 0) return;
+
+  // Seed the queue with the sitemap entries
+  for (const sitemap of config.sitemaps) {
+    const sitemapUrls = await loadSitemapUrls(sitemap, {
+      headers: getRequestHeaders(config),
+      timeout: config.timeout,
+      since: config.sitemapSince,
+      onWarning: (message) => emitter.emit('warning', message)
+    });
+    let seeded = 0;
+
+    for (const sitemapUrl of sitemapUrls) {
+      const normalizedUrl = normalizeUrl(sitemapUrl, sitemap, config.urlRules);
+      if (
+        normalizedUrl &&
+        (await isCrawlable(crawl, normalizedUrl, 'sitemap'))
+      ) {
+        if (queuePage(crawl, normalizedUrl, 0, 'sitemap')) seeded++;
+      }
+    }
+
+    emitter.emit('info', `Seeded ${seeded} pages from sitemap ${sitemap}`);
+  }
+
+  if (crawl.pageQueue.length === 0 && startUrls.length > 0) {
+    emitter.emit(
+      'warning',
+      'The sitemaps listed no pages to audit, falling back to the start URLs'
+    );
+    queueStartUrls();
+  }
+}
+
+// Function to create the state of a single crawl run
+function createCrawlState(emitter, config, injectedBrowser) {
+  const crawl = {
+    config,
+    emitter,
+    browserPool: createBrowserPool(config, injectedBrowser),
+    // robots.txt rules per origin, and the longest Crawl-delay among them
+    robotsRules: new Map(),
+    crawlDelay: 0,
+    visitedUrls: new Set(),
+    // Redirecting URLs seen while loading pages, links to them are not queued
+    redirectedUrls: new Set(),
+    excludedUrls: new Set(),
+    pageQueue: [],
+    reportData: [],
+    failedPages: [],
+    skippedPages: [],
+    sharedIssues: [],
+    stopReason: null,
+    startTime: new Date(),
+    checkpoint: null,
+    waitForRequestSlot: null,
+    // Starts queued pages on idle workers while the queue is processed
+    fillWorkers: null
+  };
+  crawl.waitForRequestSlot = createThrottle(config, () => crawl.crawlDelay);
+  return crawl;
+}
+
+// Function to restore the progress saved in the output directory's checkpoint
+function restoreCheckpoint(crawl) {
+  const { config } = crawl;
+  const saved = loadCheckpoint(config);
+  // A page is done under the URL it was queued as, which may differ from its own
+  const doneUrls = new Set([
+    ...saved.pages.map((page) => page.requestedUrl || page.url),
+    ...saved.skippedPages.map((skip) => skip.url)
+  ]);
+  const failedUrls = new Set(saved.failedPages.map((failure) => failure.url));
+
+  crawl.startTime = saved.startTime;
+  crawl.reportData.push(...saved.pages);
+  crawl.skippedPages.push(...saved.skippedPages);
+  saved.pages.forEach((page) => {
+    crawl.visitedUrls.add(page.url);
+    if (page.response) {
+      page.response.redirects.forEach((redirect) =>
+        crawl.redirectedUrls.add(redirect.url)
+      );
+    }
+  });
+  saved.queued.forEach(({ url, depth }) => {
+    crawl.visitedUrls.add(url);
+    if (doneUrls.has(url)) return;
+    // Failed pages get another try when resuming
+    if (config.reportOnly && failedUrls.has(url)) return;
+    crawl.pageQueue.push({ url, depth });
+  });
+  if (config.reportOnly) crawl.failedPages.push(...saved.failedPages);
+
+  crawl.emitter.emit(
+    'info',
+    `Restored ${saved.pages.length} analyzed pages from ${saved.path}, ${crawl.pageQueue.length} left in the queue`
+  );
+}
+
+// Function to log in, read robots.txt and analyze every queued page
+async function crawlPages(crawl) {
+  const { config, emitter } = crawl;
+
+  // Launch the browser and establish the session shared by every page
+  const { browser, release } = await crawl.browserPool.acquire();
+  try {
+    if (
+      config.auth.cookies.length > 0 ||
+      config.auth.loginActions.length > 0 ||
+      config.auth.loginScript
+    ) {
+      await logIn(browser, config, (message) =>
+        emitter.emit('warning', message)
+      );
+    }
+  } finally {
+    await release();
+  }
+
+  // Read the start origins' robots.txt before anything is queued
+  for (const origin of config.origins) await getRobotsRules(crawl, origin);
+
+  // Seeding again on resume only adds pages the checkpoint does not know
+  await seedQueue(crawl);
+
+  await processQueue(crawl);
+}
+
+// Function to split a restored page's issues again, in case the suppressions changed since
+function reapplySuppressions(config, pageResult) {
+  const previous = pageResult.suppressedIssues || [];
+  const results = {
+    ...pageResult.results,
+    issues: [
+      ...pageResult.results.issues,
+      ...previous.map(({ suppression, ...issue }) => issue)
+    ]
+  };
+  const suppressedIssues = config.suppressions
+    ? applySuppressions(config.suppressions, pageResult.url, results)
+    : [];
+
+  const describe = (issues) =>
+    issues
+      .map((issue) => `${fingerprintIssue(issue)}:${issue.suppression.index}`)
+      .join();
+  if (describe(suppressedIssues) === describe(previous)) return false;
+
+  pageResult.results = results;
+  pageResult.suppressedIssues = suppressedIssues;
+  if (config.baseline) {
+    pageResult.comparison = compareWithBaseline(
+      config.baseline,
+      pageResult.url,
+      results
+    );
+  }
+  return true;
+}
+
+// Function to finish the page results once every page is in, rewriting the page reports that change
+async function finalizePages(crawl, rewriteReports) {
+  const { config } = crawl;
+  const changedPages = new Set(
+    crawl.reportData.filter((pageResult) =>
+      reapplySuppressions(config, pageResult)
+    )
+  );
+
+  // Tag the issues repeated across pages, suppressed ones are left out
+  crawl.sharedIssues = findSharedIssues(
+    crawl.reportData,
+    config.sharedIssues.threshold
+  );
+  const fingerprints = new Set(
+    crawl.sharedIssues.map((sharedIssue) => sharedIssue.fingerprint)
+  );
+  crawl.reportData.forEach((pageResult) => {
+    pageResult.results.issues.forEach((issue) => {
+      const shared = fingerprints.has(fingerprintIssue(issue));
+      if (shared !== Boolean(issue.shared)) changedPages.add(pageResult);
+      if (shared) issue.shared = true;
+      else delete issue.shared;
+    });
+  });
+
+  if (!rewriteReports) return;
+  for (const pageResult of changedPages) {
+    pageResult.reportFiles = await writePageReports(pageResult, config);
+  }
+}
+
+// Function to get the exit code of a crawl that stopped before its queue was empty
+function getStopExitCode(stopReason) {
+  if (!stopReason) return EXIT_CODES.SUCCESS;
+  // Ctrl+C in the CLI, or stop() through the API
+  if (stopReason === 'interrupted' || stopReason === 'stopped') {
+    return EXIT_CODES.INTERRUPTED;
+  }
+  return EXIT_CODES.INCOMPLETE;
+}
+
+// Function to write the site-level reports, failed pages are included too
+async function writeSiteReports(crawl) {
+  const { config, emitter } = crawl;
+  const suppressions = config.suppressions
+    ? summarizeSuppressions(config.suppressions, crawl.reportData)
+    : [];
+  suppressions
+    .filter((suppression) => suppression.stale)
+    .forEach((suppression) =>
+      emitter.emit(
+        'warning',
+        `Suppression ${suppression.index} (owner: ${suppression.owner}) matched no issues and may be stale`
+      )
+    );
+
+  const summaryData = buildSummaryData(
+    crawl.reportData,
+    config.runners,
+    crawl.failedPages
+  );
+  const breaches = evaluateThresholds(config, summaryData, crawl.failedPages);
+  const crawlResults = {
+    meta: {
+      url: config.url,
+      startUrls: config.startUrls,
+      origin: config.origin,
+      origins: config.origins,
+      standard: config.standard,
+      startTime: crawl.startTime,
+      endTime: new Date(),
+      // Why the crawl ended before the queue was empty, if it did
+      stopReason: crawl.stopReason,
+      pagesNotVisited: crawl.pageQueue.length
+    },
+    summary: summaryData,
+    pages: crawl.reportData,
+    failedPages: crawl.failedPages,
+    skippedPages: crawl.skippedPages,
+    sharedIssues: crawl.sharedIssues,
+    suppressions,
+    breaches,
+    // The first breach decides the exit code, then whether the crawl stopped early
+    exitCode:
+      breaches.length > 0
+        ? breaches[0].exitCode
+        : getStopExitCode(crawl.stopReason),
+    reports: []
+  };
+
+  // The manifest maps the page reports back to their URLs
+  if (crawlResults.pages.some((page) => (page.reportFiles || []).length > 0)) {
+    crawlResults.reports.push({
+      reporter: 'manifest',
+      path: writeManifest(crawlResults, config)
+    });
+  }
+
+  for (const reporter of config.reporters) {
+    if (!reporter.writeSite) continue;
+    const written = await reporter.writeSite(crawlResults, config);
+    [].concat(written || []).forEach((reportPath) =>
+      crawlResults.reports.push({
+        reporter: reporter.name,
+        path: reportPath
+      })
+    );
+  }
+
+  return crawlResults;
+}
+
+// Function to crawl the website and write the reports
+async function crawlWebsite(crawl) {
+  const { config, emitter } = crawl;
+
+  // Issues of expired suppressions are reported again
+  if (config.suppressions) {
+    config.suppressions.entries
+      .filter((suppression) => suppression.expired)
+      .forEach((suppression) =>
+        emitter.emit(
+          'warning',
+          `Suppression ${suppression.index} (owner: ${suppression.owner}) expired on ${suppression.expires}, its issues are reported again`
+        )
+      );
+  }
+
+  if (config.resume || config.reportOnly) restoreCheckpoint(crawl);
+
+  if (config.reportOnly) {
+    await finalizePages(crawl, false);
+    // Rewrite the page reports as well, for example after changing --format
+    for (const pageResult of crawl.reportData) {
+      pageResult.reportFiles = await writePageReports(pageResult, config);
+    }
+    if (crawl.pageQueue.length > 0) crawl.stopReason = 'incomplete';
+  } else {
+    // Stop starting new pages once the time budget is spent
+    const durationTimer = config.maxDuration
+      ? setTimeout(() => {
+          if (crawl.stopReason) return;
+          crawl.stopReason = 'max-duration';
+          emitter.emit(
+            'warning',
+            'Reached --max-duration, finishing the pages in progress'
+          );
+        }, config.maxDuration)
+      : null;
+
+    try {
+      crawl.checkpoint = openCheckpoint(config, crawl.startTime, config.resume);
+      await crawlPages(crawl);
+    } finally {
+      clearTimeout(durationTimer);
+      // A browser passed in by the caller stays open for them to reuse
+      await crawl.browserPool.close();
+    }
+
+    // Shared issues are only known once every page is in
+    await finalizePages(crawl, true);
+  }
+
+  const crawlResults = await writeSiteReports(crawl);
+  emitter.emit('crawlComplete', crawlResults);
+  return crawlResults;
+}
+
+// Function to create a crawler, options use the CLI option names
+function createCrawler(options = {}) {
+  const { browser, ...crawlerOptions } = options;
+  const config = resolveOptions(crawlerOptions);
+  const crawler = new EventEmitter();
+  let activeCrawl = null;
+
+  crawler.config = config;
+  crawler.run = () => {
+    activeCrawl = createCrawlState(crawler, config, browser);
+    return crawlWebsite(activeCrawl);
+  };
+  // Function to stop starting new pages, the pages in progress still finish
+  crawler.stop = (reason = 'stopped') => {
+    if (activeCrawl && !activeCrawl.stopReason) activeCrawl.stopReason = reason;
+  };
+  return crawler;
+}
+
+module.exports = {
+  createCrawler
+};
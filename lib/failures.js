@@ -0,0 +1,64 @@
+// Why a page could not be analyzed, in the order the reports list them
+const FAILURE_CATEGORIES = [
+  'timeout',
+  'http-error',
+  'navigation',
+  'blocked',
+  'session-lost',
+  'crash'
+];
+
+// HTTP statuses that mean the crawler is not let in, rather than a broken page
+const BLOCKED_STATUSES = [401, 403, 407, 429, 451];
+
+// Function to create the error of a page that answered with an HTTP error status
+function createHttpError(status, response) {
+  const error = new Error(`HTTP ${status}`);
+  error.category = BLOCKED_STATUSES.includes(status) ? 'blocked' : 'http-error';
+  error.status = status;
+  error.response = response;
+  return error;
+}
+
+// Function to work out why a page failed from the error it threw
+function classifyFailure(error, timedOut) {
+  if (error.category) return error.category;
+  if (
+    timedOut ||
+    error.name === 'TimeoutError' ||
+    /timed? ?out/i.test(error.message)
+  ) {
+    return 'timeout';
+  }
+  if (/net::ERR_(BLOCKED_BY|ACCESS_DENIED)/.test(error.message)) {
+    return 'blocked';
+  }
+  if (/net::ERR_/.test(error.message)) return 'navigation';
+  // Anything else broke the browser, the page or the pa11y run
+  return 'crash';
+}
+
+// Function to check whether another attempt may succeed, server errors and rate limits pass
+function isRetryable(failure) {
+  return (
+    failure.category === 'timeout' ||
+    failure.category === 'navigation' ||
+    failure.status >= 500 ||
+    failure.status === 429
+  );
+}
+
+// Function to list the failures per category, like "2 timeout, 1 http-error"
+function formatFailureCategories(failureCategories) {
+  return FAILURE_CATEGORIES.filter((category) => failureCategories[category])
+    .map((category) => `${failureCategories[category]} ${category}`)
+    .join(', ');
+}
+
+module.exports = {
+  FAILURE_CATEGORIES,
+  createHttpError,
+  classifyFailure,
+  isRetryable,
+  formatFailureCategories
+};
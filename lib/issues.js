@@ -0,0 +1,212 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { getPageReportDir } = require('./urls');
+
+// FIXED: Function to properly categorize pa11y issues
+function categorizeIssues(results) {
+  if (!results || !results.issues || !Array.isArray(results.issues)) {
+    return { errors: [], warnings: [], notices: [] };
+  }
+
+  const errors = results.issues.filter(
+    (issue) => issue.type === 'error' || issue.typeCode === 1
+  );
+
+  const warnings = results.issues.filter(
+    (issue) => issue.type === 'warning' || issue.typeCode === 2
+  );
+
+  const notices = results.issues.filter(
+    (issue) => issue.type === 'notice' || issue.typeCode === 3
+  );
+
+  return { errors, warnings, notices };
+}
+
+// Function to reduce an issue context to a form that survives cosmetic changes
+function normalizeContext(context) {
+  if (!context) return '';
+  return context
+    .replace(/\s+/g, ' ')
+    .replace(/\d{3,}/g, '#')
+    .trim()
+    .toLowerCase();
+}
+
+// Function to fingerprint an issue so it can be matched between runs
+function fingerprintIssue(issue) {
+  return crypto
+    .createHash('sha1')
+    .update(
+      [issue.code, issue.selector, normalizeContext(issue.context)].join('\n')
+    )
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// Function to load the issues of a previous run from its JSON reports
+function loadBaseline(baselinePath, config) {
+  const summaryPath = fs.statSync(baselinePath).isDirectory()
+    ? path.join(baselinePath, 'summary.json')
+    : baselinePath;
+  const summary = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+
+  if (!summary.schemaVersion || !Array.isArray(summary.pageDetails)) {
+    throw new Error(`${summaryPath} is not a pa11y-crawler summary.json`);
+  }
+
+  const pages = new Map();
+  summary.pageDetails.forEach((page) => {
+    const reportPath = path.join(
+      path.dirname(summaryPath),
+      page.reportDir || getPageReportDir(page.url),
+      'report.json'
+    );
+    if (!fs.existsSync(reportPath)) {
+      throw new Error(
+        `${reportPath} not found, the baseline run must use --format json`
+      );
+    }
+
+    // Only compare issue types this run collects, or they would all look fixed
+    const { issues } = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    pages.set(page.url, [
+      ...issues.errors,
+      ...(config.includeWarnings ? issues.warnings : []),
+      ...(config.includeNotices ? issues.notices : [])
+    ]);
+  });
+
+  return {
+    path: summaryPath,
+    generatedAt: summary.meta ? summary.meta.endTime : null,
+    pages
+  };
+}
+
+// Function to mark a page's issues as new or existing and collect fixed ones
+function compareWithBaseline(baseline, url, results) {
+  const baselineIssues = baseline.pages.get(url) || [];
+
+  // Group baseline issues by fingerprint, repeated issues are matched one-to-one
+  const unmatched = new Map();
+  baselineIssues.forEach((issue) => {
+    const fingerprint = fingerprintIssue(issue);
+    if (!unmatched.has(fingerprint)) unmatched.set(fingerprint, []);
+    unmatched.get(fingerprint).push(issue);
+  });
+
+  results.issues.forEach((issue) => {
+    const matches = unmatched.get(fingerprintIssue(issue));
+    issue.baselineStatus = matches && matches.shift() ? 'existing' : 'new';
+  });
+
+  const fixed = [].concat(...unmatched.values()).map((issue) => ({
+    ...issue,
+    baselineStatus: 'fixed'
+  }));
+
+  return { inBaseline: baseline.pages.has(url), fixed };
+}
+
+// Function to merge the issue lists of a page's audit runs, tagging each issue with the profiles and states it occurs in
+function mergeRunIssues(runs) {
+  const merged = [];
+  const byFingerprint = new Map();
+
+  runs.forEach(({ tags, issues }) => {
+    // Repeated issues are matched one-to-one, like in the baseline comparison
+    const claimed = new Set();
+    issues.forEach((issue) => {
+      const fingerprint = fingerprintIssue(issue);
+      const candidates = byFingerprint.get(fingerprint) || [];
+      const match = candidates.find((candidate) => !claimed.has(candidate));
+
+      if (match) {
+        Object.entries(tags).forEach(([key, name]) => {
+          if (!match[key].includes(name)) match[key].push(name);
+        });
+        if (!match.screenshot && issue.screenshot) {
+          match.screenshot = issue.screenshot;
+        }
+        claimed.add(match);
+        return;
+      }
+
+      const entry = { ...issue };
+      Object.entries(tags).forEach(([key, name]) => {
+        entry[key] = [name];
+      });
+      byFingerprint.set(fingerprint, [...candidates, entry]);
+      claimed.add(entry);
+      merged.push(entry);
+    });
+  });
+
+  return merged;
+}
+
+// Function to count a page's issues per profile or state, and those found in that one only
+function countByTag(issues, key, names) {
+  return names.map((name) => {
+    const found = issues.filter((issue) => (issue[key] || []).includes(name));
+    const count = (type) => found.filter((issue) => issue.type === type).length;
+    return {
+      name,
+      errors: count('error'),
+      warnings: count('warning'),
+      notices: count('notice'),
+      only: found.filter((issue) => issue[key].length === 1).length
+    };
+  });
+}
+
+// Fewest pages a shared issue must appear on, so small crawls flag nothing
+const SHARED_MIN_PAGES = 3;
+
+// Function to find issues repeated on more than a share of pages, like a footer contrast bug
+function findSharedIssues(reportData, share) {
+  const byFingerprint = new Map();
+
+  reportData.forEach((data) => {
+    const seen = new Set();
+    data.results.issues.forEach((issue) => {
+      const fingerprint = fingerprintIssue(issue);
+      if (!byFingerprint.has(fingerprint)) {
+        byFingerprint.set(fingerprint, {
+          fingerprint,
+          code: issue.code,
+          type: issue.type,
+          message: issue.message,
+          selector: issue.selector,
+          context: issue.context,
+          pageCount: 0,
+          occurrences: 0
+        });
+      }
+      const entry = byFingerprint.get(fingerprint);
+      entry.occurrences++;
+      if (!seen.has(fingerprint)) entry.pageCount++;
+      seen.add(fingerprint);
+    });
+  });
+
+  return [...byFingerprint.values()]
+    .filter(
+      (entry) =>
+        entry.pageCount >= SHARED_MIN_PAGES &&
+        entry.pageCount > share * reportData.length
+    )
+    .sort((a, b) => b.pageCount - a.pageCount);
+}
+
+module.exports = {
+  categorizeIssues,
+  fingerprintIssue,
+  findSharedIssues,
+  loadBaseline,
+  compareWithBaseline,
+  mergeRunIssues,
+  countByTag
+};
@@ -0,0 +1,28 @@
+const path = require('path');
+const { writeReportFile } = require('./utils');
+
+// Version of the manifest.json schema, bump on breaking changes
+const MANIFEST_SCHEMA_VERSION = '1.0.0';
+
+// Function to write manifest.json, mapping each page report back to its URL
+function writeManifest(crawlResults, config) {
+  const manifest = {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    origin: config.origin,
+    origins: config.origins,
+    pages: crawlResults.pages.map((page) => ({
+      url: page.url,
+      reportDir: page.reportDir,
+      files: page.reportFiles || []
+    }))
+  };
+
+  return writeReportFile(
+    path.join(config.outputDir, 'manifest.json'),
+    JSON.stringify(manifest, null, 2)
+  );
+}
+
+module.exports = {
+  writeManifest
+};
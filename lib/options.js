@@ -0,0 +1,645 @@
+const fs = require('fs');
+const path = require('path');
+const runPa11yAction = require('pa11y/lib/action');
+const { URL } = require('url');
+const builtInReporters = require('./reporters');
+const { loadBaseline } = require('./issues');
+const { loadSuppressions } = require('./suppressions');
+const { parseProfiles } = require('./profiles');
+const { RUNNERS } = require('./runners');
+const { parseCookieJar } = require('./session');
+const {
+  compileHostPattern,
+  compileUrlPattern,
+  compileUrlRule
+} = require('./urls');
+
+// Default option values, also shown in the CLI help
+const DEFAULTS = {
+  depth: 3,
+  output: 'accessibility-reports',
+  concurrency: 3,
+  projectKey: 'ACCESSIBILITY',
+  timeout: 30000,
+  standard: 'WCAG2AA',
+  wait: 1000,
+  format: 'html',
+  delay: 0,
+  // Tracking and session parameters that never change what a page shows
+  dropParams: [
+    'utm_*',
+    'gclid',
+    'fbclid',
+    'msclkid',
+    'mc_cid',
+    'mc_eid',
+    '_ga',
+    'jsessionid',
+    'phpsessid'
+  ],
+  sortQuery: true,
+  collapseIndex: true,
+  recycleBrowserAfter: 100,
+  retries: 2,
+  retryDelay: 1000,
+  sharedThreshold: 0.5,
+  sharedIssues: 'tag',
+  runners: ['htmlcs'],
+  viewports: ['desktop=1280x800'],
+  maxScreenshots: 20,
+  maxScreenshotHeight: 5000,
+  header: []
+};
+
+// Keys an entry of the overrides list may set
+const overrideKeys = [
+  'match',
+  'standard',
+  'timeout',
+  'wait',
+  'ignore',
+  'actions',
+  'hideElements',
+  'ready',
+  'states'
+];
+
+// Keys of a readiness condition and of a named state
+const readyKeys = ['selector', 'networkIdle'];
+const stateKeys = ['name', 'actions', 'hideElements'];
+
+// Helper function to read a comma-separated option, or an array
+function toList(value) {
+  return (Array.isArray(value) ? value : String(value).split(',')).map((item) =>
+    String(item).trim()
+  );
+}
+
+// Function to compile the --include or --exclude rules, a config file may also pass RegExps
+function parseUrlRules(value, flag) {
+  if (!value) return [];
+  const patterns = value instanceof RegExp ? [value] : value;
+  return (Array.isArray(patterns) ? patterns : toList(patterns))
+    .map((pattern) => (typeof pattern === 'string' ? pattern.trim() : pattern))
+    .filter(Boolean)
+    .map((pattern) => {
+      if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) {
+        throw new Error(
+          `Invalid ${flag} pattern ${String(
+            pattern
+          )} - must be a string or a RegExp`
+        );
+      }
+      try {
+        return compileUrlRule(pattern);
+      } catch (error) {
+        throw new Error(
+          `Invalid ${flag} pattern ${pattern} - ${error.message}`
+        );
+      }
+    });
+}
+
+// Function to check the per-URL overrides of a configuration file
+function validateOverrides(overrides, fail) {
+  if (!Array.isArray(overrides)) fail('"overrides" must be an array');
+
+  overrides.forEach((override, index) => {
+    const where = `overrides[${index}]`;
+    if (!override || typeof override !== 'object') {
+      fail(`${where} must be an object`);
+    }
+
+    Object.keys(override).forEach((key) => {
+      if (!overrideKeys.includes(key)) {
+        fail(
+          `${where} has unknown key "${key}", expected one of: ${overrideKeys.join(
+            ', '
+          )}`
+        );
+      }
+    });
+
+    if (
+      typeof override.match !== 'string' &&
+      !(override.match instanceof RegExp)
+    ) {
+      fail(`${where}.match must be a URL glob, a re: string or a RegExp`);
+    }
+    ['timeout', 'wait'].forEach((key) => {
+      if (key in override && !Number.isInteger(override[key])) {
+        fail(`${where}.${key} must be an integer`);
+      }
+    });
+    ['standard', 'hideElements'].forEach((key) => {
+      if (key in override && typeof override[key] !== 'string') {
+        fail(`${where}.${key} must be a string`);
+      }
+    });
+    ['ignore', 'actions'].forEach((key) => {
+      if (key in override && !Array.isArray(override[key])) {
+        fail(`${where}.${key} must be an array`);
+      }
+    });
+    (override.actions || []).forEach((action) => {
+      if (!runPa11yAction.isValidAction(action)) {
+        fail(`${where}.actions has unknown action "${action}"`);
+      }
+    });
+    if ('ready' in override) {
+      validateReady(override.ready, `${where}.ready`, fail);
+    }
+    if ('states' in override) {
+      validateStates(override.states, `${where}.states`, fail);
+    }
+  });
+}
+
+// Function to check a readiness condition, it waits for a selector and/or network idle
+function validateReady(ready, where, fail) {
+  if (!ready || typeof ready !== 'object' || Array.isArray(ready)) {
+    fail(`${where} must be an object`);
+  }
+  Object.keys(ready).forEach((key) => {
+    if (!readyKeys.includes(key)) {
+      fail(
+        `${where} has unknown key "${key}", expected one of: ${readyKeys.join(
+          ', '
+        )}`
+      );
+    }
+  });
+  if ('selector' in ready && typeof ready.selector !== 'string') {
+    fail(`${where}.selector must be a string`);
+  }
+  if ('networkIdle' in ready && typeof ready.networkIdle !== 'boolean') {
+    fail(`${where}.networkIdle must be a boolean`);
+  }
+}
+
+// Function to check the named UI states a page is also audited in
+function validateStates(states, where, fail) {
+  if (!Array.isArray(states)) fail(`${where} must be an array`);
+
+  const names = new Set(['default']);
+  states.forEach((state, index) => {
+    const at = `${where}[${index}]`;
+    if (!state || typeof state !== 'object') fail(`${at} must be an object`);
+
+    Object.keys(state).forEach((key) => {
+      if (!stateKeys.includes(key)) {
+        fail(
+          `${at} has unknown key "${key}", expected one of: ${stateKeys.join(
+            ', '
+          )}`
+        );
+      }
+    });
+    if (typeof state.name !== 'string' || !/^[\w-]+$/.test(state.name)) {
+      fail(`${at}.name must be a name of letters, digits, _ and -`);
+    }
+    if (names.has(state.name)) {
+      fail(
+        state.name === 'default'
+          ? `${at}.name "default" is the page as loaded`
+          : `${at}.name "${state.name}" is already used`
+      );
+    }
+    names.add(state.name);
+
+    if (!Array.isArray(state.actions) || state.actions.length === 0) {
+      fail(`${at}.actions must be a non-empty array`);
+    }
+    state.actions.forEach((action) => {
+      if (!runPa11yAction.isValidAction(action)) {
+        fail(`${at}.actions has unknown action "${action}"`);
+      }
+    });
+    if ('hideElements' in state && typeof state.hideElements !== 'string') {
+      fail(`${at}.hideElements must be a string`);
+    }
+  });
+}
+
+// Function to parse a threshold option into a non-negative integer
+function parseThreshold(value, flag) {
+  if (value === undefined || value === null) return null;
+
+  const threshold = Number(value);
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw new Error(`${flag} must be a non-negative integer - ${value}`);
+  }
+  return threshold;
+}
+
+// Function to parse a duration in milliseconds, or with an ms, s, m or h unit
+function parseDuration(value, flag) {
+  if (value === undefined || value === null) return null;
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  const match = /^(\d+)\s*(ms|s|m|h)?$/.exec(String(value).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(
+      `${flag} must be a positive duration like 90000, 90s, 30m or 2h - ${value}`
+    );
+  }
+  return Number(match[1]) * units[match[2] || 'ms'];
+}
+
+// Function to parse a share of pages, given as a fraction or a percentage
+function parseShare(value, flag) {
+  const match = /^(\d+(?:\.\d+)?)\s*(%)?$/.exec(String(value).trim());
+  const share = match ? Number(match[1]) / (match[2] ? 100 : 1) : NaN;
+  if (!(share >= 0 && share < 1)) {
+    throw new Error(
+      `${flag} must be a share below 1, like 0.5 or 50% - ${value}`
+    );
+  }
+  return share;
+}
+
+// Function to check the custom reporters passed to the API
+function validateReporters(reporters) {
+  if (!Array.isArray(reporters)) {
+    throw new Error('reporters must be an array');
+  }
+  reporters.forEach((reporter, index) => {
+    if (
+      !reporter ||
+      typeof reporter.name !== 'string' ||
+      (typeof reporter.writePage !== 'function' &&
+        typeof reporter.writeSite !== 'function')
+    ) {
+      throw new Error(
+        `reporters[${index}] must have a name and a writePage or writeSite function`
+      );
+    }
+  });
+}
+
+// Function to read the authentication options, files are given by path
+function resolveAuth(options, startUrl) {
+  const auth = {
+    loginUrl: options.loginUrl
+      ? new URL(options.loginUrl, startUrl).href
+      : null,
+    loginActions: [],
+    loginScript: null,
+    cookies: [],
+    headers: {},
+    basicAuth: null
+  };
+
+  if (options.loginActions) {
+    auth.loginActions = Array.isArray(options.loginActions)
+      ? options.loginActions
+      : JSON.parse(fs.readFileSync(options.loginActions, 'utf8'));
+    if (!Array.isArray(auth.loginActions)) {
+      throw new Error(`${options.loginActions} must contain a JSON array`);
+    }
+    const invalidAction = auth.loginActions.find(
+      (action) => !runPa11yAction.isValidAction(action)
+    );
+    if (invalidAction !== undefined) {
+      throw new Error(`Unknown login action "${invalidAction}"`);
+    }
+  }
+
+  if (options.loginScript) {
+    auth.loginScript =
+      typeof options.loginScript === 'function'
+        ? options.loginScript
+        : require(path.resolve(options.loginScript));
+    if (typeof auth.loginScript !== 'function') {
+      throw new Error(`${options.loginScript} must export a function`);
+    }
+  }
+
+  if (options.cookies) {
+    auth.cookies = parseCookieJar(
+      Array.isArray(options.cookies)
+        ? JSON.stringify(options.cookies)
+        : fs.readFileSync(options.cookies, 'utf8')
+    );
+  }
+
+  [].concat(options.header).forEach((header) => {
+    const separator = header.indexOf(':');
+    if (separator < 1) {
+      throw new Error(`Invalid header "${header}", expected "Name: value"`);
+    }
+    auth.headers[header.slice(0, separator).trim()] = header
+      .slice(separator + 1)
+      .trim();
+  });
+
+  if (options.basicAuth) {
+    const separator = options.basicAuth.indexOf(':');
+    if (separator < 0) {
+      throw new Error('--basic-auth must be given as user:password');
+    }
+    auth.basicAuth = {
+      username: options.basicAuth.slice(0, separator),
+      password: options.basicAuth.slice(separator + 1)
+    };
+  }
+
+  // Without an explicit login URL, the first navigation of the login actions is used
+  if (!auth.loginUrl) {
+    const navigateAction = auth.loginActions
+      .map((action) => /^navigate to( url)? (.+)$/i.exec(action))
+      .find(Boolean);
+    if (navigateAction) {
+      auth.loginUrl = new URL(navigateAction[2], startUrl).href;
+    }
+  }
+
+  return auth;
+}
+
+// Function to turn crawler options into the configuration of a run
+function resolveOptions(rawOptions) {
+  const options = { ...DEFAULTS };
+  Object.entries(rawOptions).forEach(([key, value]) => {
+    if (value !== undefined) options[key] = value;
+  });
+  const startUrls = [].concat(options.url || []);
+  const startUrl = startUrls[0];
+
+  // Validate URL input
+  if (!startUrl) {
+    throw new Error('URL is required');
+  }
+
+  startUrls.forEach((url) => {
+    try {
+      new URL(url);
+    } catch (error) {
+      throw new Error(`Invalid URL - ${url}`);
+    }
+  });
+  const origins = [...new Set(startUrls.map((url) => new URL(url).origin))];
+
+  const formats = toList(options.format)
+    .map((format) => format.toLowerCase())
+    .filter(Boolean);
+  const unknownFormats = formats.filter((format) => !builtInReporters[format]);
+  const customReporters = options.reporters || [];
+  validateReporters(customReporters);
+
+  if (
+    (formats.length === 0 && customReporters.length === 0) ||
+    unknownFormats.length > 0
+  ) {
+    throw new Error(
+      `Unsupported report format - ${
+        unknownFormats.join(', ') || options.format
+      } (supported: ${Object.keys(builtInReporters).join(', ')})`
+    );
+  }
+
+  const runners = [
+    ...new Set(
+      toList(options.runners)
+        .map((runner) => runner.toLowerCase())
+        .filter(Boolean)
+    )
+  ];
+  const unknownRunners = runners.filter((runner) => !RUNNERS.includes(runner));
+  if (runners.length === 0 || unknownRunners.length > 0) {
+    throw new Error(
+      `Unsupported runner - ${
+        unknownRunners.join(', ') || options.runners
+      } (supported: ${RUNNERS.join(', ')})`
+    );
+  }
+
+  if (!['tag', 'hide'].includes(options.sharedIssues)) {
+    throw new Error(
+      `--shared-issues must be tag or hide - ${options.sharedIssues}`
+    );
+  }
+
+  const thresholds = {
+    errors: parseThreshold(options.failOnErrors, '--fail-on-errors'),
+    warnings: parseThreshold(options.failOnWarnings, '--fail-on-warnings'),
+    errorsPerPage: parseThreshold(
+      options.maxErrorsPerPage,
+      '--max-errors-per-page'
+    ),
+    pagesNotAnalyzed: options.failOnPageErrors || false,
+    newErrors: parseThreshold(options.failOnNewErrors, '--fail-on-new-errors')
+  };
+
+  if (thresholds.newErrors !== null && !options.baseline) {
+    throw new Error('--fail-on-new-errors requires --baseline');
+  }
+
+  if (options.resume && options.reportOnly) {
+    throw new Error('--resume and --report-only cannot be combined');
+  }
+
+  // Parse the sitemap lastmod cut-off
+  let sitemapSince = null;
+  if (options.sitemapSince) {
+    sitemapSince = new Date(options.sitemapSince);
+    if (Number.isNaN(sitemapSince.getTime())) {
+      throw new Error(`Invalid --sitemap-since date - ${options.sitemapSince}`);
+    }
+  }
+
+  const sitemap = options.sitemap || options.sitemapOnly || sitemapSince;
+
+  let auth;
+  try {
+    auth = resolveAuth(options, startUrl);
+  } catch (error) {
+    throw new Error(`Invalid authentication - ${error.message}`);
+  }
+
+  const overrides = options.overrides || [];
+  validateOverrides(overrides, (message) => {
+    throw new Error(`Invalid overrides - ${message}`);
+  });
+
+  // Without --allowed-hosts, the crawl stays on the hosts of the start URLs
+  const allowedHosts = options.allowedHosts
+    ? toList(options.allowedHosts).filter(Boolean)
+    : origins.map((origin) => new URL(origin).host);
+
+  // Element crops are capped per page, and images are cut off at a height in pixels
+  const screenshots = options.screenshots
+    ? {
+        maxCrops: parseThreshold(options.maxScreenshots, '--max-screenshots'),
+        maxHeight: parseThreshold(
+          options.maxScreenshotHeight,
+          '--max-screenshot-height'
+        )
+      }
+    : null;
+  if (screenshots && screenshots.maxHeight === 0) {
+    throw new Error('--max-screenshot-height must be at least 1 pixel');
+  }
+
+  // Each page is audited once per viewport and color scheme
+  const profiles = parseProfiles(
+    toList(options.viewports).filter(Boolean),
+    options.colorSchemes
+      ? toList(options.colorSchemes)
+          .map((scheme) => scheme.toLowerCase())
+          .filter(Boolean)
+      : [],
+    options.reducedMotion || false
+  );
+  if (profiles.length === 0) {
+    throw new Error('--viewports needs at least one viewport');
+  }
+
+  const excludeRules = parseUrlRules(options.exclude, '--exclude');
+  const includeRules = parseUrlRules(options.include, '--include');
+
+  // Set up configuration
+  const config = {
+    url: startUrl,
+    startUrls,
+    origin: origins[0],
+    origins,
+    allowedHosts,
+    allowedHostPatterns: allowedHosts.map(compileHostPattern),
+    depth: parseInt(options.depth, 10),
+    outputDir: options.output,
+    concurrency: parseInt(options.concurrency, 10),
+    projectKey: options.projectKey,
+    timeout: parseInt(options.timeout, 10),
+    customSummary: options.summary || null,
+    excludePatterns: excludeRules.map((rule) => rule.pattern),
+    includePatterns: includeRules.map((rule) => rule.pattern),
+    excludeRules,
+    includeRules,
+    standard: options.standard,
+    runners,
+    wait: parseInt(options.wait, 10),
+    // Readiness conditions of every page, overrides may set their own
+    ready:
+      options.waitFor || options.waitForNetworkIdle
+        ? {
+            ...(options.waitFor && { selector: options.waitFor }),
+            ...(options.waitForNetworkIdle && { networkIdle: true })
+          }
+        : null,
+    includeNotices: options.includeNotices || false,
+    // Warnings must be collected to be counted against a threshold
+    includeWarnings: options.includeWarnings || thresholds.warnings !== null,
+    formats,
+    reporters: [
+      ...formats.map((format) => builtInReporters[format]),
+      ...customReporters
+    ],
+    thresholds,
+    baseline: null,
+    suppressions: null,
+    // A sitemap URL of its own, or /sitemap.xml on every start origin
+    sitemaps: !sitemap
+      ? []
+      : typeof sitemap === 'string'
+      ? [new URL(sitemap, startUrl).href]
+      : origins.map((origin) => new URL('/sitemap.xml', origin).href),
+    sitemapOnly: options.sitemapOnly || false,
+    sitemapSince,
+    auth,
+    configFile: options.configFile || null,
+    overrides: overrides.map((override) => ({
+      ...override,
+      matches: compileUrlPattern(override.match)
+    })),
+    urlRules: {
+      dropParams: toList(options.dropParams).filter(Boolean),
+      allowParams: options.allowParams
+        ? toList(options.allowParams).filter(Boolean)
+        : null,
+      sortQuery: options.sortQuery !== false,
+      collapseIndex: options.collapseIndex !== false,
+      lowercasePaths: options.lowercasePaths || false
+    },
+    canonical: options.canonical || false,
+    sharedIssues: {
+      threshold: parseShare(options.sharedThreshold, '--shared-threshold'),
+      mode: options.sharedIssues
+    },
+    ignoreRobots: options.ignoreRobots || false,
+    debug: options.debug || false,
+    resume: options.resume || false,
+    reportOnly: options.reportOnly || false,
+    delay: parseInt(options.delay, 10),
+    maxRequestsPerMinute: options.maxRequestsPerMinute
+      ? parseInt(options.maxRequestsPerMinute, 10)
+      : null,
+    pageTimeout: parseDuration(options.pageTimeout, '--page-timeout'),
+    maxDuration: parseDuration(options.maxDuration, '--max-duration'),
+    retries: parseThreshold(options.retries, '--retries'),
+    retryDelay: parseThreshold(options.retryDelay, '--retry-delay'),
+    recycleBrowserAfter: parseThreshold(
+      options.recycleBrowserAfter,
+      '--recycle-browser-after'
+    ),
+    screenshots,
+    profiles
+  };
+
+  // Load the accepted issues, a config file may list them inline
+  if (options.suppressions) {
+    try {
+      config.suppressions = loadSuppressions(options.suppressions);
+    } catch (error) {
+      throw new Error(`Invalid suppressions - ${error.message}`);
+    }
+  }
+
+  // Load the previous run to compare against
+  if (options.baseline) {
+    try {
+      config.baseline = loadBaseline(options.baseline, config);
+    } catch (error) {
+      throw new Error(`Could not load baseline - ${error.message}`);
+    }
+  }
+
+  return config;
+}
+
+// Function to resolve the pa11y settings for a page, later overrides win
+function getPageSettings(config, url) {
+  const settings = {
+    standard: config.standard,
+    timeout: config.timeout,
+    wait: config.wait,
+    ignore: [],
+    actions: [],
+    hideElements: null,
+    ready: config.ready,
+    states: []
+  };
+  let waitOverridden = false;
+
+  config.overrides.forEach((override) => {
+    if (!override.matches(url)) return;
+    overrideKeys
+      .filter((key) => key !== 'match' && key in override)
+      .forEach((key) => {
+        settings[key] = override[key];
+      });
+    if ('wait' in override) waitOverridden = true;
+  });
+
+  // Readiness conditions replace the fixed wait, unless an override sets one
+  if (settings.ready && !waitOverridden) settings.wait = 0;
+
+  return settings;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateOverrides,
+  resolveOptions,
+  getPageSettings
+};
@@ -0,0 +1,85 @@
+// prefers-color-scheme values a profile can emulate
+const COLOR_SCHEMES = ['light', 'dark'];
+
+// Function to parse one viewport, given as name=WIDTHxHEIGHT or WIDTHxHEIGHT
+function parseViewport(value) {
+  const match = /^(?:([\w-]+)=)?(\d+)x(\d+)$/i.exec(value);
+  if (!match || Number(match[2]) === 0 || Number(match[3]) === 0) {
+    throw new Error(
+      `--viewports must be like mobile=375x812,desktop=1280x800 - ${value}`
+    );
+  }
+  return {
+    name: match[1] || `${match[2]}x${match[3]}`,
+    width: Number(match[2]),
+    height: Number(match[3])
+  };
+}
+
+// Function to build the audit profiles, every viewport in every color scheme
+function parseProfiles(viewports, colorSchemes, reducedMotion) {
+  const sizes = viewports.map(parseViewport);
+  const schemes = colorSchemes.length > 0 ? colorSchemes : [null];
+
+  const unknownScheme = schemes.find(
+    (scheme) => scheme !== null && !COLOR_SCHEMES.includes(scheme)
+  );
+  if (unknownScheme) {
+    throw new Error(
+      `--color-schemes must be ${COLOR_SCHEMES.join(
+        ' and/or '
+      )} - ${unknownScheme}`
+    );
+  }
+
+  const profiles = [];
+  sizes.forEach((size) => {
+    schemes.forEach((colorScheme) => {
+      profiles.push({
+        ...size,
+        name: colorScheme ? `${size.name}-${colorScheme}` : size.name,
+        colorScheme,
+        reducedMotion
+      });
+    });
+  });
+
+  const names = profiles.map((profile) => profile.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`--viewports has the profile ${duplicate} twice`);
+  }
+
+  return profiles;
+}
+
+// Function to set a page up as a profile, before it is loaded
+async function applyProfile(page, profile) {
+  await page.setViewport({ width: profile.width, height: profile.height });
+
+  const features = [];
+  if (profile.colorScheme) {
+    features.push({ name: 'prefers-color-scheme', value: profile.colorScheme });
+  }
+  if (profile.reducedMotion) {
+    features.push({ name: 'prefers-reduced-motion', value: 'reduce' });
+  }
+  if (features.length > 0) await page.emulateMediaFeatures(features);
+}
+
+// Function to describe a profile for the reports, like "375x812, dark"
+function describeProfile(profile) {
+  return [
+    `${profile.width}x${profile.height}`,
+    profile.colorScheme,
+    profile.reducedMotion && 'reduced motion'
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+module.exports = {
+  parseProfiles,
+  applyProfile,
+  describeProfile
+};
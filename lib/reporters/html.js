@@ -0,0 +1,1235 @@
+const fs = require('fs');
+const path = require('path');
+const { categorizeIssues, countByTag } = require('../issues');
+const { describeProfile } = require('../profiles');
+const { formatFailureCategories } = require('../failures');
+const { escapeHtml, writeReportFile } = require('../utils');
+
+// Function to render the new/existing/fixed marker of an issue
+function renderBaselineBadge(issue) {
+  if (!issue.baselineStatus) return '';
+  return ` <span class="baseline-badge ${issue.baselineStatus}">${issue.baselineStatus}</span>`;
+}
+
+// Function to render the marker of an issue repeated across many pages
+function renderSharedBadge(issue) {
+  if (!issue.shared) return '';
+  return ' <span class="baseline-badge shared">shared</span>';
+}
+
+// Function to render the profiles or states an issue occurs in, when it is missing from some
+function renderTagBadge(issue, key, names) {
+  if (!issue[key] || issue[key].length === names.length) return '';
+  return issue[key].length === 1
+    ? ` <span class="baseline-badge tag-only">${escapeHtml(
+        issue[key][0]
+      )} only</span>`
+    : ` <span class="baseline-badge tag">${escapeHtml(
+        issue[key].join(', ')
+      )}</span>`;
+}
+
+// Function to render the runners that found an issue, when several ran
+function renderRunnerBadge(issue) {
+  if (!issue.runners) return '';
+  return ` <span class="baseline-badge runner">${escapeHtml(
+    issue.runners.join(' + ')
+  )}</span>`;
+}
+
+// Function to render a single issue for the page report
+function renderIssue(issue, type, tags = { profiles: [], states: [] }) {
+  const label = type.charAt(0).toUpperCase() + type.slice(1);
+  return `
+        <div class="issue ${type}">
+            <div class="issue-type">${label}${renderBaselineBadge(
+    issue
+  )}${renderSharedBadge(issue)}${renderTagBadge(
+    issue,
+    'profiles',
+    tags.profiles
+  )}${renderTagBadge(issue, 'states', tags.states)}${renderRunnerBadge(
+    issue
+  )}</div>
+            <div class="issue-message">${escapeHtml(issue.message)}</div>
+            <div class="issue-code">${escapeHtml(
+              (issue.codes || [issue.code]).join(', ')
+            )}</div>
+            <div class="issue-selector">Selector: ${escapeHtml(
+              issue.selector
+            )}</div>
+            ${
+              issue.context
+                ? `<div class="issue-context">Context: ${escapeHtml(
+                    issue.context.substring(0, 200)
+                  )}${issue.context.length > 200 ? '...' : ''}</div>`
+                : ''
+            }
+            ${
+              issue.screenshot
+                ? `<img class="issue-screenshot" src="${escapeHtml(
+                    issue.screenshot
+                  )}" alt="Screenshot of the failing element" loading="lazy">`
+                : ''
+            }
+        </div>
+        `;
+}
+
+// Function to render a suppressed issue with the reason it was accepted
+function renderSuppressedIssue(issue, tags) {
+  const { justification, owner, expires } = issue.suppression;
+  return `${renderIssue(issue, issue.type, tags)}
+        <div class="issue-context">Suppressed: ${escapeHtml(
+          justification
+        )} (owner: ${escapeHtml(owner)}${
+    expires ? `, expires ${escapeHtml(expires)}` : ''
+  })</div>
+        `;
+}
+
+// Headings of the profiles and states tables of a page report
+const TAG_TABLES = {
+  profiles: { title: 'Profiles', name: 'Profile', detail: 'Viewport' },
+  states: { title: 'States', name: 'State', detail: 'Actions' }
+};
+
+// Function to render the issue counts of each audit profile or state of a page
+function renderTagTable(key, entries, describe, results) {
+  const { title, name, detail } = TAG_TABLES[key];
+  return `
+        <h2>${title}</h2>
+        <table class="tags-table">
+            <tr><th>${name}</th><th>${detail}</th><th>Errors</th><th>Warnings</th><th>Notices</th><th>Only in this ${name.toLowerCase()}</th></tr>
+            ${countByTag(
+              results.issues,
+              key,
+              entries.map((entry) => entry.name)
+            )
+              .map(
+                (counts, index) => `
+            <tr>
+                <td>${escapeHtml(counts.name)}</td>
+                <td>${escapeHtml(describe(entries[index]))}</td>
+                <td>${counts.errors}</td>
+                <td>${counts.warnings}</td>
+                <td>${counts.notices}</td>
+                <td>${counts.only}</td>
+            </tr>`
+              )
+              .join('')}
+        </table>
+        `;
+}
+
+// FIXED: Function to generate HTML report from pa11y results
+function generateHtmlReport(pageResult, config) {
+  const { url, comparison, settings, response } = pageResult;
+  const profiles = pageResult.profiles || [];
+  const states = pageResult.states || [];
+  const tags = {
+    profiles: profiles.map((profile) => profile.name),
+    states: states.map((state) => state.name)
+  };
+  const suppressedIssues = pageResult.suppressedIssues || [];
+  const sharedCount = pageResult.results.issues.filter(
+    (issue) => issue.shared
+  ).length;
+  // Page owners can leave the shared component issues to the combined report
+  const results =
+    config.sharedIssues.mode === 'hide'
+      ? {
+          ...pageResult.results,
+          issues: pageResult.results.issues.filter((issue) => !issue.shared)
+        }
+      : pageResult.results;
+  // Use the proper categorization
+  const { errors, warnings, notices } = categorizeIssues(results);
+  // With several profiles or states, each of them has its own page screenshot
+  const screenshots = pageResult.screenshots
+    ? pageResult.screenshots.map(({ name, path: src }) => ({ name, src }))
+    : pageResult.screenshot
+    ? [{ name: null, src: pageResult.screenshot }]
+    : [];
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Accessibility Report - ${escapeHtml(url)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; margin: 0; padding: 20px; color: #333; }
+        .container { max-width: 1200px; margin: 0 auto; }
+        h1 { color: #2c3e50; border-bottom: 3px solid #3498db; padding-bottom: 10px; }
+        h2 { color: #34495e; margin-top: 30px; }
+        .summary { background: #f8f9fa; padding: 20px; border-radius: 5px; margin-bottom: 30px; }
+        .summary-item { display: inline-block; margin-right: 30px; text-align: center; }
+        .summary-number { font-size: 2em; font-weight: bold; display: block; }
+        .error .summary-number { color: #e74c3c; }
+        .warning .summary-number { color: #f39c12; }
+        .notice .summary-number { color: #3498db; }
+        .issue { border-left: 4px solid #ddd; padding: 15px; margin-bottom: 15px; background: #fff; }
+        .issue.error { border-left-color: #e74c3c; background: #fdf2f2; }
+        .issue.warning { border-left-color: #f39c12; background: #fefbf3; }
+        .issue.notice { border-left-color: #3498db; background: #f3f8ff; }
+        .issue-type { font-weight: bold; text-transform: uppercase; font-size: 0.8em; margin-bottom: 5px; }
+        .issue-message { font-weight: bold; margin-bottom: 10px; }
+        .issue-code { background: #f4f4f4; padding: 8px; border-radius: 3px; font-family: monospace; font-size: 0.9em; margin: 10px 0; }
+        .issue-selector { color: #666; font-family: monospace; }
+        .issue-context { color: #888; font-style: italic; margin-top: 5px; font-size: 0.9em; }
+        .issue-screenshot { display: block; max-width: 100%; max-height: 300px; margin-top: 10px; border: 1px solid #ddd; }
+        .page-screenshot { display: block; max-width: 100%; border: 1px solid #ddd; }
+        .meta { background: #f8f9fa; padding: 15px; border-radius: 5px; margin-bottom: 20px; }
+        .no-issues { text-align: center; padding: 40px; color: #27ae60; font-size: 1.2em; }
+        .back-link { display: inline-block; margin-bottom: 20px; color: #3498db; text-decoration: none; }
+        .back-link:hover { text-decoration: underline; }
+        .toggle-section { margin: 10px 0; }
+        .toggle-button {
+            background: #3498db;
+            color: white;
+            border: none;
+            padding: 8px 16px;
+            border-radius: 4px;
+            cursor: pointer;
+            margin-right: 10px;
+        }
+        .toggle-button:hover { background: #2980b9; }
+        .section-content { margin-top: 15px; }
+        .section-content.hidden { display: none; }
+        .baseline-badge { display: inline-block; margin-left: 8px; padding: 0 6px; border-radius: 3px; color: white; font-size: 0.9em; }
+        .baseline-badge.new { background: #e74c3c; }
+        .baseline-badge.existing { background: #95a5a6; }
+        .baseline-badge.fixed { background: #27ae60; }
+        .baseline-badge.shared { background: #8e44ad; }
+        .baseline-badge.tag { background: #16a085; }
+        .baseline-badge.runner { background: #34495e; text-transform: none; }
+        .baseline-badge.tag-only { background: #d35400; }
+        .tags-table { border-collapse: collapse; margin-bottom: 30px; }
+        .tags-table th, .tags-table td { border: 1px solid #ddd; padding: 6px 12px; text-align: left; }
+        .tags-table th { background: #f8f9fa; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="../../combined/index.html" class="back-link">← View Combined Report</a>
+        <h1>Accessibility Report</h1>
+
+        <div class="meta">
+            <strong>URL:</strong> ${escapeHtml(url)}<br>${
+    response && response.redirects.length > 0
+      ? `
+            <strong>Redirects:</strong> ${response.redirects
+              .map(
+                (redirect) => `${escapeHtml(redirect.url)} (${redirect.status})`
+              )
+              .join(' → ')} → ${escapeHtml(response.finalUrl)} (${
+          response.status
+        })<br>`
+      : ''
+  }
+            <strong>Date:</strong> ${new Date().toLocaleString()}<br>
+            <strong>Standard:</strong> ${settings.standard}<br>${
+    profiles.length > 0
+      ? `
+            <strong>Profiles:</strong> ${profiles
+              .map(
+                (profile) =>
+                  `${escapeHtml(profile.name)} (${describeProfile(profile)})`
+              )
+              .join(', ')}<br>`
+      : ''
+  }
+            ${
+              config.runners.length > 1
+                ? `<strong>Runners:</strong> ${config.runners.join(', ')}<br>`
+                : ''
+            }
+            <strong>Project:</strong> ${config.projectKey}
+            ${
+              config.customSummary
+                ? `<br><strong>Summary:</strong> ${escapeHtml(
+                    config.customSummary
+                  )}`
+                : ''
+            }
+            ${
+              pageResult.linkError
+                ? `<br><strong>Links not collected:</strong> ${escapeHtml(
+                    pageResult.linkError
+                  )}`
+                : ''
+            }
+            ${
+              comparison
+                ? `<br><strong>Baseline:</strong> ${escapeHtml(
+                    config.baseline.path
+                  )}${
+                    comparison.inBaseline
+                      ? ''
+                      : ' (page not in baseline, all issues are new)'
+                  }`
+                : ''
+            }
+            ${
+              sharedCount > 0
+                ? `<br><strong>Shared components:</strong> ${sharedCount} issues also appear on many other pages, ${
+                    config.sharedIssues.mode === 'hide'
+                      ? 'hidden here'
+                      : 'marked shared'
+                  } and listed in the <a href="../../combined/index.html#shared-issues">combined report</a>`
+                : ''
+            }
+        </div>
+
+        <div class="summary">
+            <div class="summary-item error">
+                <span class="summary-number">${errors.length}</span>
+                <span>Errors</span>
+            </div>
+            <div class="summary-item warning">
+                <span class="summary-number">${warnings.length}</span>
+                <span>Warnings</span>
+            </div>
+            <div class="summary-item notice">
+                <span class="summary-number">${notices.length}</span>
+                <span>Notices</span>
+            </div>
+        </div>
+
+        ${
+          profiles.length > 0
+            ? renderTagTable('profiles', profiles, describeProfile, results)
+            : ''
+        }
+
+        ${
+          states.length > 0
+            ? renderTagTable(
+                'states',
+                states,
+                (state) => state.actions.join(', ') || 'As loaded',
+                results
+              )
+            : ''
+        }
+
+        ${
+          screenshots.length > 0
+            ? `
+        <div class="toggle-section">
+            <button class="toggle-button" onclick="toggleSection('screenshot')">
+                Show Page Screenshot${screenshots.length > 1 ? 's' : ''}
+            </button>
+        </div>
+        <div id="screenshot" class="section-content hidden">
+        ${screenshots
+          .map(
+            ({ name, src }) => `${name ? `<h3>${escapeHtml(name)}</h3>` : ''}
+        <img class="page-screenshot" src="${escapeHtml(
+          src
+        )}" alt="Screenshot of ${escapeHtml(url)}${
+              name ? ` at ${escapeHtml(name)}` : ''
+            } with the failing elements outlined" loading="lazy">`
+          )
+          .join('')}
+        </div>
+        `
+            : ''
+        }
+
+        ${
+          results.issues.length === 0
+            ? '<div class="no-issues">🎉 No accessibility issues found!</div>'
+            : ''
+        }
+
+        ${
+          errors.length > 0
+            ? `
+        <h2>Errors (${errors.length})</h2>
+        <div class="section-content">
+        ${errors.map((issue) => renderIssue(issue, 'error', tags)).join('')}
+        </div>
+        `
+            : ''
+        }
+
+        ${
+          warnings.length > 0
+            ? `
+        <div class="toggle-section">
+            <button class="toggle-button" onclick="toggleSection('warnings')">
+                ${config.includeWarnings ? 'Hide' : 'Show'} Warnings (${
+                warnings.length
+              })
+            </button>
+        </div>
+        <div id="warnings" class="section-content ${
+          config.includeWarnings ? '' : 'hidden'
+        }">
+        <h2>Warnings (${warnings.length})</h2>
+        ${warnings.map((issue) => renderIssue(issue, 'warning', tags)).join('')}
+        </div>
+        `
+            : ''
+        }
+
+        ${
+          notices.length > 0
+            ? `
+        <div class="toggle-section">
+            <button class="toggle-button" onclick="toggleSection('notices')">
+                ${config.includeNotices ? 'Hide' : 'Show'} Notices (${
+                notices.length
+              })
+            </button>
+        </div>
+        <div id="notices" class="section-content ${
+          config.includeNotices ? '' : 'hidden'
+        }">
+        <h2>Notices (${notices.length})</h2>
+        ${notices.map((issue) => renderIssue(issue, 'notice', tags)).join('')}
+        </div>
+        `
+            : ''
+        }
+
+        ${states
+          .filter((state) => state.name !== 'default')
+          .map((state, index) => {
+            const stateIssues = results.issues.filter((issue) =>
+              (issue.states || []).includes(state.name)
+            );
+            return `
+        <div class="toggle-section">
+            <button class="toggle-button" onclick="toggleSection('state-${index}')">
+                Show State: ${escapeHtml(state.name)} (${stateIssues.length})
+            </button>
+        </div>
+        <div id="state-${index}" class="section-content hidden">
+        <h2>State: ${escapeHtml(state.name)} (${stateIssues.length})</h2>
+        <p>After: ${escapeHtml(state.actions.join(', '))}</p>
+        ${stateIssues
+          .map((issue) => renderIssue(issue, issue.type, tags))
+          .join('')}
+        </div>
+        `;
+          })
+          .join('')}
+
+        ${
+          suppressedIssues.length > 0
+            ? `
+        <div class="toggle-section">
+            <button class="toggle-button" onclick="toggleSection('suppressed')">
+                Show Suppressed (${suppressedIssues.length})
+            </button>
+        </div>
+        <div id="suppressed" class="section-content hidden">
+        <h2>Suppressed (${suppressedIssues.length})</h2>
+        ${suppressedIssues
+          .map((issue) => renderSuppressedIssue(issue, tags))
+          .join('')}
+        </div>
+        `
+            : ''
+        }
+
+        ${
+          comparison && comparison.fixed.length > 0
+            ? `
+        <div class="toggle-section">
+            <button class="toggle-button" onclick="toggleSection('fixed')">
+                Show Fixed Since Baseline (${comparison.fixed.length})
+            </button>
+        </div>
+        <div id="fixed" class="section-content hidden">
+        <h2>Fixed Since Baseline (${comparison.fixed.length})</h2>
+        ${comparison.fixed
+          .map((issue) => renderIssue(issue, issue.type))
+          .join('')}
+        </div>
+        `
+            : ''
+        }
+    </div>
+
+    <script>
+        function toggleSection(sectionId) {
+            const section = document.getElementById(sectionId);
+            const button = event.target;
+
+            if (section.classList.contains('hidden')) {
+                section.classList.remove('hidden');
+                button.textContent = button.textContent.replace('Show', 'Hide');
+            } else {
+                section.classList.add('hidden');
+                button.textContent = button.textContent.replace('Hide', 'Show');
+            }
+        }
+    </script>
+</body>
+</html>
+  `;
+
+  return writeReportFile(
+    path.join(config.outputDir, pageResult.reportDir, 'report.html'),
+    html
+  );
+}
+
+// Function to render the page table of the combined report
+function renderPagesTable(pageDetails, config) {
+  const rowsHtml = pageDetails
+    .map((page) => {
+      const reportPath = `../${page.reportDir}/report.html`;
+      const statusColor =
+        page.errors > 0 ? '#e74c3c' : page.warnings > 0 ? '#f39c12' : '#27ae60';
+      return `
+            <tr>
+              <td><a href="${reportPath}">${escapeHtml(page.url)}</a></td>
+              <td style="color: ${statusColor}; font-weight: bold;">${
+        page.issues
+      }</td>
+              <td style="color: #e74c3c;">${page.errors}</td>
+              <td style="color: #f39c12;">${page.warnings}</td>
+              <td style="color: #3498db;">${page.notices}</td>
+              ${
+                config.baseline
+                  ? `<td style="color: #e74c3c;">${page.newIssues}</td>
+              <td style="color: #27ae60;">${page.fixed}</td>`
+                  : ''
+              }
+            </tr>
+          `;
+    })
+    .join('');
+
+  return `
+        <table>
+            <thead>
+                <tr>
+                    <th>Page URL</th>
+                    <th>Total Issues</th>
+                    <th>Errors</th>
+                    <th>Warnings</th>
+                    <th>Notices</th>
+                    ${
+                      config.baseline
+                        ? `<th>New</th>
+                    <th>Fixed</th>`
+                        : ''
+                    }
+                </tr>
+            </thead>
+            <tbody>
+                ${rowsHtml}
+            </tbody>
+        </table>`;
+}
+
+// Colours of the issue types in the combined report
+const TYPE_COLORS = { error: '#e74c3c', warning: '#f39c12', notice: '#3498db' };
+
+// Function to render the site-wide issues grouped by rule, sortable in the browser
+function renderTopIssues(summaryData) {
+  if (summaryData.topIssues.length === 0) return '';
+
+  const rowsHtml = summaryData.topIssues
+    .map(
+      (topIssue) => `
+            <tr data-occurrences="${topIssue.occurrences}" data-pages="${
+        topIssue.pagesAffected
+      }">
+              <td>
+                <strong style="color: ${
+                  TYPE_COLORS[topIssue.type] || '#34495e'
+                };">${escapeHtml(topIssue.type)}</strong><br>
+                <code>${escapeHtml(topIssue.code)}</code>
+              </td>
+              <td>${escapeHtml(topIssue.message)}</td>
+              <td>${topIssue.occurrences}</td>
+              <td>${topIssue.pagesAffected}</td>
+              <td>
+                ${topIssue.worstPages
+                  .map(
+                    (page) =>
+                      `<a href="../${page.reportDir}/report.html">${escapeHtml(
+                        page.url
+                      )}</a> (${page.occurrences})`
+                  )
+                  .join('<br>')}
+              </td>
+              <td>
+                <details>
+                  <summary>${topIssue.samples.length} samples</summary>
+                  ${topIssue.samples
+                    .map(
+                      (sample) => `
+                  <p>
+                    <code>${escapeHtml(sample.selector || '')}</code><br>
+                    <code>${escapeHtml(sample.context || '')}</code><br>
+                    <a href="../${sample.reportDir}/report.html">${escapeHtml(
+                        sample.url
+                      )}</a>
+                  </p>`
+                    )
+                    .join('')}
+                </details>
+              </td>
+            </tr>`
+    )
+    .join('');
+
+  return `
+        <h2>Top Issues</h2>
+        <p>
+            Sort by
+            <button class="sort-button" onclick="sortTopIssues('occurrences')">Occurrences</button>
+            <button class="sort-button" onclick="sortTopIssues('pages')">Pages affected</button>
+        </p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Rule</th>
+                    <th>Message</th>
+                    <th>Occurrences</th>
+                    <th>Pages</th>
+                    <th>Worst Pages</th>
+                    <th>Samples</th>
+                </tr>
+            </thead>
+            <tbody id="top-issues">
+                ${rowsHtml}
+            </tbody>
+        </table>
+
+    <script>
+        function sortTopIssues(key) {
+            const body = document.getElementById('top-issues');
+            const other = key === 'occurrences' ? 'pages' : 'occurrences';
+            Array.from(body.rows)
+                .sort((a, b) =>
+                    b.dataset[key] - a.dataset[key] || b.dataset[other] - a.dataset[other])
+                .forEach((row) => body.appendChild(row));
+        }
+    </script>`;
+}
+
+// Function to render the issues repeated across pages once, with their page counts
+function renderSharedIssues(crawlResults, config) {
+  const { sharedIssues, summary: summaryData } = crawlResults;
+  if (sharedIssues.length === 0) return '';
+
+  const sharedOccurrences = sharedIssues.reduce(
+    (total, sharedIssue) => total + sharedIssue.occurrences,
+    0
+  );
+  const rowsHtml = sharedIssues
+    .map(
+      (sharedIssue) => `
+            <tr>
+              <td>
+                <strong style="color: ${
+                  TYPE_COLORS[sharedIssue.type] || '#34495e'
+                };">${escapeHtml(sharedIssue.type)}</strong><br>
+                <code>${escapeHtml(sharedIssue.code)}</code>
+              </td>
+              <td>${escapeHtml(sharedIssue.message)}</td>
+              <td>
+                <code>${escapeHtml(sharedIssue.selector || '')}</code><br>
+                <code>${escapeHtml(
+                  (sharedIssue.context || '').substring(0, 200)
+                )}</code>
+              </td>
+              <td>${sharedIssue.pageCount} of ${summaryData.totalPages}</td>
+            </tr>`
+    )
+    .join('');
+
+  return `
+        <h2 id="shared-issues">Shared Component Issues (${
+          sharedIssues.length
+        })</h2>
+        <p>
+            These issues appear on more than ${Math.round(
+              config.sharedIssues.threshold * 100
+            )}% of the pages, usually in a shared header, footer or navigation.
+            They account for ${sharedOccurrences} of the ${
+    summaryData.totalIssues
+  } issues found, and need fixing only once each.
+        </p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Rule</th>
+                    <th>Message</th>
+                    <th>Element</th>
+                    <th>Pages</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rowsHtml}
+            </tbody>
+        </table>`;
+}
+
+// Function to render the suppressions and how often each was used, collapsed by default
+function renderSuppressions(crawlResults) {
+  const { suppressions, summary: summaryData } = crawlResults;
+  if (suppressions.length === 0) return '';
+
+  const rowsHtml = suppressions
+    .map((suppression) => {
+      const status = suppression.expired
+        ? '<strong style="color: #e74c3c;">expired</strong>'
+        : suppression.stale
+        ? '<strong style="color: #f39c12;">stale</strong>'
+        : 'active';
+      const matchers = ['code', 'selector', 'url']
+        .filter((key) => suppression[key])
+        .map((key) => `${key}: <code>${escapeHtml(suppression[key])}</code>`)
+        .join('<br>');
+      return `
+            <tr>
+              <td>${matchers}</td>
+              <td>${escapeHtml(suppression.justification)}</td>
+              <td>${escapeHtml(suppression.owner)}</td>
+              <td>${escapeHtml(suppression.expires || '')}</td>
+              <td>${suppression.matched}</td>
+              <td>${status}</td>
+            </tr>`;
+    })
+    .join('');
+
+  return `
+        <details>
+            <summary><strong>Suppressed issues: ${summaryData.totalSuppressed}</strong>, left out of the totals by ${suppressions.length} suppressions</summary>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Matches</th>
+                        <th>Justification</th>
+                        <th>Owner</th>
+                        <th>Expires</th>
+                        <th>Issues</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rowsHtml}
+                </tbody>
+            </table>
+        </details>`;
+}
+
+// Function to render the page details, grouped per origin when the crawl spans several
+function renderPageDetails(summaryData, config) {
+  if (summaryData.origins.length <= 1) {
+    return `
+        <h2>Page Details</h2>
+        ${renderPagesTable(summaryData.pageDetails, config)}`;
+  }
+
+  const originRows = summaryData.origins
+    .map(
+      (totals, index) => `
+            <tr>
+              <td><a href="#origin-${index}">${escapeHtml(
+        totals.origin
+      )}</a></td>
+              <td>${totals.pages}</td>
+              <td>${totals.issues}</td>
+              <td style="color: #e74c3c;">${totals.errors}</td>
+              <td style="color: #f39c12;">${totals.warnings}</td>
+              <td style="color: #3498db;">${totals.notices}</td>
+            </tr>`
+    )
+    .join('');
+  const originSections = summaryData.origins
+    .map(
+      (totals, index) => `
+        <h2 id="origin-${index}">${escapeHtml(totals.origin)}</h2>
+        <p>${totals.pages} pages, ${totals.errors} errors, ${
+        totals.warnings
+      } warnings, ${totals.notices} notices</p>
+        ${renderPagesTable(
+          summaryData.pageDetails.filter(
+            (page) => page.origin === totals.origin
+          ),
+          config
+        )}`
+    )
+    .join('');
+
+  return `
+        <h2>Origins</h2>
+        <table>
+            <thead>
+                <tr>
+                    <th>Origin</th>
+                    <th>Pages</th>
+                    <th>Total Issues</th>
+                    <th>Errors</th>
+                    <th>Warnings</th>
+                    <th>Notices</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${originRows}
+            </tbody>
+        </table>
+        ${originSections}`;
+}
+
+// Function to render the issues each runner found, when several ran
+function renderRunnerTotals(summaryData) {
+  if (summaryData.runners.length === 0) return '';
+
+  return `
+        <h2>Runners</h2>
+        <p>Issues found by several runners on the same element and WCAG success criterion are counted once, and for each runner that found them.</p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Runner</th>
+                    <th>Total Issues</th>
+                    <th>Errors</th>
+                    <th>Warnings</th>
+                    <th>Notices</th>
+                    <th>Found by this runner only</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${summaryData.runners
+                  .map(
+                    (totals) => `
+                <tr>
+                    <td>${escapeHtml(totals.runner)}</td>
+                    <td>${totals.issues}</td>
+                    <td>${totals.errors}</td>
+                    <td>${totals.warnings}</td>
+                    <td>${totals.notices}</td>
+                    <td>${totals.only}</td>
+                </tr>`
+                  )
+                  .join('')}
+            </tbody>
+        </table>`;
+}
+
+// Function to render the pages that could not be analyzed, so a clean report cannot hide them
+function renderFailedPages(crawlResults) {
+  const { failedPages, summary: summaryData } = crawlResults;
+  if (failedPages.length === 0 && summaryData.linkErrors.length === 0) {
+    return '';
+  }
+
+  const rowsHtml = failedPages
+    .map(
+      (failure) => `
+            <tr>
+              <td><a href="${escapeHtml(failure.url)}">${escapeHtml(
+        failure.url
+      )}</a></td>
+              <td><strong style="color: #e74c3c;">${escapeHtml(
+                failure.category || 'crash'
+              )}</strong>${
+        failure.status ? ` (HTTP ${failure.status})` : ''
+      }</td>
+              <td>${escapeHtml(failure.error)}</td>
+              <td>${failure.attempts || 1}</td>
+            </tr>`
+    )
+    .join('');
+
+  const linkErrorsHtml = summaryData.linkErrors
+    .map(
+      (linkError) => `
+                <li><a href="../${
+                  linkError.reportDir
+                }/report.html">${escapeHtml(linkError.url)}</a>: ${escapeHtml(
+        linkError.error
+      )}</li>`
+    )
+    .join('');
+
+  return `
+        <h2 id="not-analyzed">Pages Not Analyzed (${failedPages.length})</h2>
+        ${
+          failedPages.length > 0
+            ? `
+        <p>
+            These pages have no accessibility results and are left out of every total above
+            (${formatFailureCategories(summaryData.failureCategories)}).
+        </p>
+        <table>
+            <thead>
+                <tr>
+                    <th>URL</th>
+                    <th>Category</th>
+                    <th>Error</th>
+                    <th>Attempts</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rowsHtml}
+            </tbody>
+        </table>`
+            : ''
+        }
+        ${
+          linkErrorsHtml
+            ? `
+        <h3>Links not collected (${summaryData.linkErrors.length})</h3>
+        <p>These pages were analyzed, but the pages they link to may be missing from the crawl.</p>
+        <ul>${linkErrorsHtml}
+        </ul>`
+            : ''
+        }`;
+}
+
+// Function to render the internal links that answered with an HTTP error, with the pages linking to them
+function renderBrokenLinks(summaryData) {
+  if (summaryData.brokenLinks.length === 0) return '';
+
+  const rowsHtml = summaryData.brokenLinks
+    .map(
+      (brokenLink) => `
+            <tr>
+              <td><a href="${escapeHtml(brokenLink.url)}">${escapeHtml(
+        brokenLink.url
+      )}</a></td>
+              <td><strong style="color: #e74c3c;">${
+                brokenLink.status
+              }</strong></td>
+              <td>
+                <ul>${brokenLink.linkedFrom
+                  .map(
+                    (page) =>
+                      `<li><a href="../${
+                        page.reportDir
+                      }/report.html">${escapeHtml(page.url)}</a></li>`
+                  )
+                  .join('')}</ul>
+              </td>
+            </tr>`
+    )
+    .join('');
+
+  return `
+        <h2 id="broken-links">Broken Links (${summaryData.brokenLinks.length})</h2>
+        <p>Internal links that answered with an HTTP error status, and the pages that link to them.</p>
+        <table>
+            <thead>
+                <tr>
+                    <th>Link</th>
+                    <th>Status</th>
+                    <th>Linked from</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rowsHtml}
+            </tbody>
+        </table>`;
+}
+
+// Function to generate the combined HTML report and main index
+function generateCombinedReport(crawlResults, config) {
+  const summaryData = crawlResults.summary;
+  if (summaryData.totalPages === 0 && summaryData.totalFailed === 0) {
+    return null;
+  }
+  const duplicates = crawlResults.skippedPages.filter(
+    (skip) => skip.duplicateOf
+  );
+  const nonHtml = crawlResults.skippedPages.filter(
+    (skip) => skip.reason === 'non-html'
+  );
+
+  // Generate combined summary report
+  const combinedHtml = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Site Accessibility Report - ${escapeHtml(
+      config.origins.join(', ')
+    )}</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; margin: 0; padding: 20px; color: #333; }
+        .container { max-width: 1200px; margin: 0 auto; }
+        h1 { color: #2c3e50; border-bottom: 3px solid #3498db; padding-bottom: 10px; }
+        h2 { color: #34495e; margin-top: 30px; }
+        .summary { background: #f8f9fa; padding: 20px; border-radius: 5px; margin-bottom: 30px; }
+        .summary-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; }
+        .summary-item { text-align: center; padding: 20px; background: white; border-radius: 5px; }
+        .summary-number { font-size: 2.5em; font-weight: bold; display: block; margin-bottom: 5px; }
+        .pages .summary-number { color: #3498db; }
+        .total .summary-number { color: #34495e; }
+        .errors .summary-number { color: #e74c3c; }
+        .warnings .summary-number { color: #f39c12; }
+        .notices .summary-number { color: #3498db; }
+        .fixed .summary-number { color: #27ae60; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { padding: 12px; text-align: left; border-bottom: 1px solid #ddd; }
+        th { background: #f8f9fa; font-weight: bold; }
+        tr:hover { background: #f8f9fa; }
+        .meta { background: #f8f9fa; padding: 15px; border-radius: 5px; margin-bottom: 20px; }
+        a { color: #3498db; text-decoration: none; }
+        a:hover { text-decoration: underline; }
+        code { font-family: monospace; font-size: 0.9em; word-break: break-all; }
+        .sort-button { background: #3498db; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; }
+        .sort-button:hover { background: #2980b9; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>Site Accessibility Report</h1>
+
+        <div class="meta">
+            <strong>${
+              config.origins.length > 1 ? 'Origins' : 'Origin'
+            }:</strong> ${escapeHtml(config.origins.join(', '))}<br>
+            <strong>Date:</strong> ${new Date().toLocaleString()}<br>
+            <strong>Standard:</strong> ${config.standard}<br>${
+    config.runners.length > 1
+      ? `
+            <strong>Runners:</strong> ${config.runners.join(', ')}<br>`
+      : ''
+  }
+            <strong>Project:</strong> ${config.projectKey}
+            ${
+              config.customSummary
+                ? `<br><strong>Summary:</strong> ${escapeHtml(
+                    config.customSummary
+                  )}`
+                : ''
+            }
+            ${
+              config.baseline
+                ? `<br><strong>Baseline:</strong> ${escapeHtml(
+                    config.baseline.path
+                  )}`
+                : ''
+            }
+            ${
+              duplicates.length > 0
+                ? `<br><strong>Duplicates skipped:</strong> ${duplicates.length} pages redirected or pointed their canonical to a page already in the report`
+                : ''
+            }
+            ${
+              nonHtml.length > 0
+                ? `<br><strong>Files skipped:</strong> ${nonHtml.length} links led to files that are not HTML, such as images or PDFs`
+                : ''
+            }
+            ${
+              crawlResults.meta.stopReason
+                ? `<br><strong>Incomplete:</strong> Crawl stopped (${crawlResults.meta.stopReason}) with ${crawlResults.meta.pagesNotVisited} queued pages not visited`
+                : ''
+            }
+            <br><a href="../index.html" style="color: #3498db; text-decoration: none;">← Back to Main Index</a>
+        </div>
+
+        <div class="summary">
+            <div class="summary-grid">
+                <div class="summary-item pages">
+                    <span class="summary-number">${
+                      summaryData.totalPages
+                    }</span>
+                    <span>Pages Analyzed</span>
+                </div>
+                <div class="summary-item total">
+                    <span class="summary-number">${
+                      summaryData.totalIssues
+                    }</span>
+                    <span>Total Issues</span>
+                </div>
+                <div class="summary-item errors">
+                    <span class="summary-number">${
+                      summaryData.totalErrors
+                    }</span>
+                    <span>Errors</span>
+                </div>
+                <div class="summary-item warnings">
+                    <span class="summary-number">${
+                      summaryData.totalWarnings
+                    }</span>
+                    <span>Warnings</span>
+                </div>
+                <div class="summary-item notices">
+                    <span class="summary-number">${
+                      summaryData.totalNotices
+                    }</span>
+                    <span>Notices</span>
+                </div>
+                ${
+                  summaryData.totalFailed > 0
+                    ? `
+                <div class="summary-item errors">
+                    <span class="summary-number"><a href="#not-analyzed" style="color: inherit;">${summaryData.totalFailed}</a></span>
+                    <span>Not Analyzed</span>
+                </div>`
+                    : ''
+                }
+                ${
+                  config.baseline
+                    ? `
+                <div class="summary-item errors">
+                    <span class="summary-number">${summaryData.totalNewErrors}</span>
+                    <span>New Errors</span>
+                </div>
+                <div class="summary-item fixed">
+                    <span class="summary-number">${summaryData.totalFixed}</span>
+                    <span>Fixed</span>
+                </div>`
+                    : ''
+                }
+            </div>
+        </div>
+
+        ${renderFailedPages(crawlResults)}
+
+        ${renderBrokenLinks(summaryData)}
+
+        ${renderRunnerTotals(summaryData)}
+
+        ${renderTopIssues(summaryData)}
+
+        ${renderSharedIssues(crawlResults, config)}
+
+        ${renderSuppressions(crawlResults)}
+
+        ${renderPageDetails(summaryData, config)}
+    </div>
+</body>
+</html>
+      `;
+
+  // Save combined report
+  writeReportFile(
+    path.join(config.outputDir, 'combined', 'index.html'),
+    combinedHtml
+  );
+
+  // Create main index file
+  const mainIndexPath = path.join(config.outputDir, 'index.html');
+  fs.writeFileSync(
+    mainIndexPath,
+    `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Site Accessibility Report - ${escapeHtml(
+            config.origins.join(', ')
+          )}</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; margin: 0; padding: 20px; color: #333; }
+            h1 { color: #2c3e50; }
+            .container { max-width: 1000px; margin: 0 auto; }
+            .card { border: 1px solid #ddd; border-radius: 4px; padding: 20px; margin-bottom: 20px; }
+            .btn { display: inline-block; background: #3498db; color: white; padding: 10px 15px; text-decoration: none; border-radius: 4px; }
+            .btn:hover { background: #2980b9; }
+            .summary { margin-bottom: 30px; }
+            .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 15px; margin: 20px 0; }
+            .stat { text-align: center; padding: 15px; background: #f8f9fa; border-radius: 5px; }
+            .stat-number { font-size: 1.5em; font-weight: bold; display: block; }
+            .errors { color: #e74c3c; }
+            .warnings { color: #f39c12; }
+            .notices { color: #3498db; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h1>Site Accessibility Report</h1>
+            <div class="card summary">
+              <h2>Summary</h2>
+              <p><strong>${
+                config.origins.length > 1 ? 'Origins' : 'Origin'
+              }:</strong> ${escapeHtml(config.origins.join(', '))}</p>
+              <p><strong>Pages analyzed:</strong> ${summaryData.totalPages}</p>
+              ${
+                summaryData.totalFailed > 0
+                  ? `<p class="errors"><strong>Pages not analyzed:</strong> ${
+                      summaryData.totalFailed
+                    } (${formatFailureCategories(
+                      summaryData.failureCategories
+                    )})</p>
+              <ul>${crawlResults.failedPages
+                .map(
+                  (failure) =>
+                    `<li>${escapeHtml(failure.url)}: ${escapeHtml(
+                      failure.category || 'crash'
+                    )}, ${escapeHtml(failure.error)}</li>`
+                )
+                .join('')}</ul>`
+                  : ''
+              }
+              ${
+                summaryData.brokenLinks.length > 0
+                  ? `<p class="errors"><strong>Broken links:</strong> <a href="combined/index.html#broken-links">${summaryData.brokenLinks.length} internal links</a> answered with an HTTP error</p>`
+                  : ''
+              }
+              <p><strong>Date:</strong> ${new Date().toLocaleString()}</p>
+              <div class="stats">
+                <div class="stat">
+                  <span class="stat-number">${summaryData.totalIssues}</span>
+                  <span>Total Issues</span>
+                </div>
+                <div class="stat errors">
+                  <span class="stat-number">${summaryData.totalErrors}</span>
+                  <span>Errors</span>
+                </div>
+                <div class="stat warnings">
+                  <span class="stat-number">${summaryData.totalWarnings}</span>
+                  <span>Warnings</span>
+                </div>
+                <div class="stat notices">
+                  <span class="stat-number">${summaryData.totalNotices}</span>
+                  <span>Notices</span>
+                </div>
+                ${
+                  config.baseline
+                    ? `
+                <div class="stat errors">
+                  <span class="stat-number">${summaryData.totalNewErrors}</span>
+                  <span>New Errors</span>
+                </div>`
+                    : ''
+                }
+              </div>
+              ${
+                summaryData.origins.length > 1
+                  ? `<ul>${summaryData.origins
+                      .map(
+                        (totals, index) =>
+                          `<li><a href="combined/index.html#origin-${index}">${escapeHtml(
+                            totals.origin
+                          )}</a>: ${totals.pages} pages, ${
+                            totals.errors
+                          } errors, ${totals.warnings} warnings</li>`
+                      )
+                      .join('')}</ul>`
+                  : ''
+              }
+              <p><a href="combined/index.html" class="btn">View Detailed Report</a></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+  );
+
+  return mainIndexPath;
+}
+
+module.exports = {
+  name: 'html',
+  writePage: generateHtmlReport,
+  writeSite: generateCombinedReport
+};
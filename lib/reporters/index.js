@@ -0,0 +1,7 @@
+// Reporters behind the --format option, keyed by format name
+module.exports = {
+  html: require('./html'),
+  json: require('./json'),
+  junit: require('./junit'),
+  sarif: require('./sarif')
+};
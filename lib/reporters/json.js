@@ -0,0 +1,169 @@
+const path = require('path');
+const { categorizeIssues, countByTag } = require('../issues');
+const { writeReportFile } = require('../utils');
+
+// Version of the report.json / summary.json schema, bump on breaking changes
+const JSON_SCHEMA_VERSION = '1.0.0';
+
+// Function to add the issue counts to a page's profiles or states
+function withCounts(entries, key, issues) {
+  if (!entries) return null;
+  return countByTag(
+    issues,
+    key,
+    entries.map((entry) => entry.name)
+  ).map(({ name, ...counts }, index) => ({ ...entries[index], counts }));
+}
+
+// Function to generate a machine-readable JSON report from pa11y results
+function generateJsonReport(pageResult, config) {
+  const { url, requestedUrl, results, comparison, settings } = pageResult;
+  const { errors, warnings, notices } = categorizeIssues(results);
+
+  const report = {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    url,
+    requestedUrl: requestedUrl || url,
+    documentTitle: results.documentTitle || null,
+    pageUrl: results.pageUrl || url,
+    generatedAt: new Date().toISOString(),
+    standard: settings.standard,
+    projectKey: config.projectKey,
+    settings,
+    response: pageResult.response || null,
+    linkError: pageResult.linkError || null,
+    screenshot: pageResult.screenshot || null,
+    screenshots: pageResult.screenshots || null,
+    // Only set when the page was audited in several profiles or states
+    profiles: withCounts(pageResult.profiles, 'profiles', results.issues),
+    states: withCounts(pageResult.states, 'states', results.issues),
+    counts: {
+      issues: results.issues.length,
+      errors: errors.length,
+      warnings: warnings.length,
+      notices: notices.length,
+      suppressed: (pageResult.suppressedIssues || []).length
+    },
+    issues: { errors, warnings, notices },
+    suppressed: pageResult.suppressedIssues || []
+  };
+
+  if (comparison) {
+    report.baseline = {
+      path: config.baseline.path,
+      inBaseline: comparison.inBaseline,
+      newIssues: results.issues.filter(
+        (issue) => issue.baselineStatus === 'new'
+      ).length,
+      fixed: comparison.fixed
+    };
+  }
+
+  return writeReportFile(
+    path.join(config.outputDir, pageResult.reportDir, 'report.json'),
+    JSON.stringify(report, null, 2)
+  );
+}
+
+// Function to write the site-level summary.json
+function generateJsonSummary(crawlResults, config) {
+  const {
+    summary: summaryData,
+    failedPages,
+    skippedPages,
+    sharedIssues,
+    suppressions,
+    breaches,
+    meta
+  } = crawlResults;
+  const summary = {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    meta: {
+      url: config.url,
+      startUrls: config.startUrls,
+      origin: config.origin,
+      origins: config.origins,
+      standard: config.standard,
+      runners: config.runners,
+      projectKey: config.projectKey,
+      summary: config.customSummary,
+      startTime: meta.startTime.toISOString(),
+      endTime: meta.endTime.toISOString(),
+      stopReason: meta.stopReason,
+      pagesNotVisited: meta.pagesNotVisited,
+      options: {
+        depth: config.depth,
+        concurrency: config.concurrency,
+        allowedHosts: config.allowedHosts,
+        pageTimeout: config.pageTimeout,
+        maxDuration: config.maxDuration,
+        recycleBrowserAfter: config.recycleBrowserAfter,
+        timeout: config.timeout,
+        wait: config.wait,
+        includePatterns: config.includePatterns,
+        excludePatterns: config.excludePatterns,
+        urlRules: config.urlRules,
+        canonical: config.canonical,
+        sharedIssues: config.sharedIssues,
+        screenshots: config.screenshots,
+        retries: config.retries,
+        profiles: config.profiles,
+        includeNotices: config.includeNotices,
+        includeWarnings: config.includeWarnings,
+        formats: config.formats,
+        thresholds: config.thresholds,
+        configFile: config.configFile,
+        overrides: config.overrides.map(({ matches, ...override }) => ({
+          ...override,
+          match: String(override.match)
+        }))
+      },
+      baseline: config.baseline
+        ? {
+            path: config.baseline.path,
+            generatedAt: config.baseline.generatedAt
+          }
+        : null,
+      suppressionsFile: config.suppressions ? config.suppressions.path : null
+    },
+    totals: {
+      pages: summaryData.totalPages,
+      issues: summaryData.totalIssues,
+      errors: summaryData.totalErrors,
+      warnings: summaryData.totalWarnings,
+      notices: summaryData.totalNotices,
+      suppressed: summaryData.totalSuppressed,
+      notAnalyzed: summaryData.totalFailed,
+      brokenLinks: summaryData.brokenLinks.length,
+      ...(config.baseline && {
+        newIssues: summaryData.totalNewIssues,
+        newErrors: summaryData.totalNewErrors,
+        fixed: summaryData.totalFixed
+      })
+    },
+    origins: summaryData.origins,
+    topIssues: summaryData.topIssues,
+    runners: summaryData.runners,
+    sharedIssues,
+    suppressions,
+    pageDetails: summaryData.pageDetails,
+    failedPages,
+    failureCategories: summaryData.failureCategories,
+    linkErrors: summaryData.linkErrors,
+    brokenLinks: summaryData.brokenLinks,
+    skippedPages,
+    thresholdBreaches: breaches
+  };
+
+  return writeReportFile(
+    path.join(config.outputDir, 'summary.json'),
+    JSON.stringify(summary, null, 2)
+  );
+}
+
+module.exports = {
+  name: 'json',
+  JSON_SCHEMA_VERSION,
+  writePage: generateJsonReport,
+  writeSite: generateJsonSummary
+};
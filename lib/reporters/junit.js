@@ -0,0 +1,71 @@
+const path = require('path');
+const { categorizeIssues } = require('../issues');
+const { escapeXml, writeReportFile } = require('../utils');
+
+// Function to write a JUnit XML report, one testsuite per page
+function generateJunitReport(crawlResults, config) {
+  const { pages, failedPages } = crawlResults;
+  let totalTests = 0;
+  let totalFailures = 0;
+
+  const suites = pages.map(({ url, results }) => {
+    const { errors } = categorizeIssues(results);
+    const testcases = errors.map(
+      (issue) => `    <testcase classname="${escapeXml(url)}" name="${escapeXml(
+        issue.code
+      )}">
+      <failure message="${escapeXml(issue.message)}" type="${escapeXml(
+        issue.code
+      )}">Selector: ${escapeXml(issue.selector)}
+Context: ${escapeXml(issue.context)}</failure>
+    </testcase>`
+    );
+
+    // Keep clean pages visible as a single passing testcase
+    if (testcases.length === 0) {
+      testcases.push(
+        `    <testcase classname="${escapeXml(
+          url
+        )}" name="No accessibility errors"/>`
+      );
+    }
+
+    totalTests += testcases.length;
+    totalFailures += errors.length;
+
+    return `  <testsuite name="${escapeXml(url)}" tests="${
+      testcases.length
+    }" failures="${errors.length}" errors="0">
+${testcases.join('\n')}
+  </testsuite>`;
+  });
+
+  // Pages that could not be analyzed are reported as errored suites
+  failedPages.forEach(({ url, error, category = 'crash' }) => {
+    totalTests += 1;
+    suites.push(`  <testsuite name="${escapeXml(
+      url
+    )}" tests="1" failures="0" errors="1">
+    <testcase classname="${escapeXml(url)}" name="Accessibility analysis">
+      <error type="${escapeXml(category)}" message="${escapeXml(error)}"/>
+    </testcase>
+  </testsuite>`);
+  });
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(
+    `${config.projectKey} accessibility (${config.standard})`
+  )}" tests="${totalTests}" failures="${totalFailures}" errors="${
+    failedPages.length
+  }">
+${suites.join('\n')}
+</testsuites>
+`;
+
+  return writeReportFile(path.join(config.outputDir, 'junit.xml'), xml);
+}
+
+module.exports = {
+  name: 'junit',
+  writeSite: generateJunitReport
+};
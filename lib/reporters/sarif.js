@@ -0,0 +1,119 @@
+const path = require('path');
+const { categorizeIssues } = require('../issues');
+const { writeReportFile } = require('../utils');
+const pkg = require('../../package.json');
+
+// Function to write a SARIF 2.1.0 log for code scanning tools
+function generateSarifReport(crawlResults, config) {
+  const { pages, failedPages } = crawlResults;
+  const sarifLevels = { error: 'error', warning: 'warning', notice: 'note' };
+  const rules = [];
+  const ruleIndexes = new Map();
+  const sarifResults = [];
+  const topIssues = new Map(
+    crawlResults.summary.topIssues.map((topIssue) => [topIssue.code, topIssue])
+  );
+
+  pages.forEach(({ url, results, suppressedIssues }) => {
+    const { errors, warnings, notices } = categorizeIssues(results);
+
+    // Suppressed issues stay in the log, marked so code scanning hides them
+    [...errors, ...warnings, ...notices, ...(suppressedIssues || [])].forEach(
+      (issue) => {
+        if (!ruleIndexes.has(issue.code)) {
+          const topIssue = topIssues.get(issue.code) || {
+            occurrences: 0,
+            pagesAffected: 0
+          };
+          ruleIndexes.set(issue.code, rules.length);
+          rules.push({
+            id: issue.code,
+            shortDescription: { text: issue.message },
+            properties: {
+              standard: config.standard,
+              occurrences: topIssue.occurrences,
+              pagesAffected: topIssue.pagesAffected
+            }
+          });
+        }
+
+        sarifResults.push({
+          ruleId: issue.code,
+          ruleIndex: ruleIndexes.get(issue.code),
+          level: sarifLevels[issue.type] || 'warning',
+          message: { text: issue.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: url },
+                region: {
+                  startLine: 1,
+                  snippet: { text: issue.context || '' }
+                }
+              },
+              logicalLocations: [
+                {
+                  fullyQualifiedName: issue.selector,
+                  kind: 'element'
+                }
+              ]
+            }
+          ],
+          // Issues merged from several runners name every rule that found them
+          ...(issue.runners && {
+            properties: { runners: issue.runners, codes: issue.codes }
+          }),
+          ...(issue.suppression && {
+            suppressions: [
+              {
+                kind: 'external',
+                justification: issue.suppression.justification
+              }
+            ]
+          })
+        });
+      }
+    );
+  });
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'pa11y-crawler',
+            version: pkg.version,
+            informationUri: 'https://github.com/naeluh/pa11y-crawler',
+            rules
+          }
+        },
+        results: sarifResults,
+        invocations: [
+          {
+            executionSuccessful: failedPages.length === 0,
+            toolExecutionNotifications: failedPages.map(
+              ({ url, error, category = 'crash' }) => ({
+                level: 'error',
+                message: {
+                  text: `Could not analyze ${url} (${category}): ${error}`
+                }
+              })
+            )
+          }
+        ]
+      }
+    ]
+  };
+
+  return writeReportFile(
+    path.join(config.outputDir, 'results.sarif'),
+    JSON.stringify(sarif, null, 2)
+  );
+}
+
+module.exports = {
+  name: 'sarif',
+  writeSite: generateSarifReport
+};
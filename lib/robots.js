@@ -0,0 +1,133 @@
+const { URL } = require('url');
+
+// Product token matched against robots.txt user-agent groups
+const ROBOTS_USER_AGENT = 'pa11y-crawler';
+
+// Function to parse robots.txt into user-agent groups
+function parseRobotsTxt(text) {
+  const groups = [];
+  let group = null;
+  let previousField = null;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const match = /^\s*([A-Za-z-]+)\s*:\s*(.*)$/.exec(
+      rawLine.replace(/#.*$/, '')
+    );
+    if (!match) return;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group of rules
+      if (!group || previousField !== 'user-agent') {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if (group && (field === 'allow' || field === 'disallow')) {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) group.rules.push({ allow: field === 'allow', path: value });
+    } else if (group && field === 'crawl-delay') {
+      const crawlDelay = parseFloat(value);
+      if (!Number.isNaN(crawlDelay)) group.crawlDelay = crawlDelay;
+    }
+
+    previousField = field;
+  });
+
+  return groups;
+}
+
+// Function to turn a robots.txt path pattern into a regular expression
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Function to pick the robots.txt rules that apply to this crawler
+function selectRobotsRules(groups) {
+  // The product token must match exactly, so groups for a or pa11y do not apply (RFC 9309)
+  const agentToken = ROBOTS_USER_AGENT.toLowerCase();
+  let matching = groups.filter((group) => group.agents.includes(agentToken));
+  if (matching.length === 0) {
+    matching = groups.filter((group) => group.agents.includes('*'));
+  }
+
+  const crawlDelays = matching
+    .map((group) => group.crawlDelay)
+    .filter((crawlDelay) => crawlDelay !== null);
+
+  return {
+    rules: [].concat(...matching.map((group) => group.rules)).map((rule) => ({
+      ...rule,
+      pattern: robotsPatternToRegExp(rule.path)
+    })),
+    crawlDelay: crawlDelays.length > 0 ? Math.max(...crawlDelays) : null
+  };
+}
+
+// Function to download and parse robots.txt for the crawled origin
+async function loadRobotsRules(origin, requestOptions) {
+  const robotsUrl = new URL('/robots.txt', origin).href;
+  let response;
+
+  try {
+    response = await fetch(robotsUrl, {
+      headers: requestOptions.headers,
+      signal: AbortSignal.timeout(requestOptions.timeout)
+    });
+  } catch (error) {
+    // An unreachable robots.txt means the whole site is off limits
+    return { rules: [], crawlDelay: null, disallowAll: true, robotsUrl };
+  }
+
+  // A missing robots.txt allows everything, a server error blocks everything
+  if (response.status >= 400 && response.status < 500) {
+    return { rules: [], crawlDelay: null, disallowAll: false, robotsUrl };
+  }
+  if (!response.ok) {
+    return { rules: [], crawlDelay: null, disallowAll: true, robotsUrl };
+  }
+
+  return {
+    ...selectRobotsRules(parseRobotsTxt(await response.text())),
+    disallowAll: false,
+    robotsUrl
+  };
+}
+
+// Function to check a URL against robots.txt, the longest match wins
+function isAllowedByRobots(robotsRules, url) {
+  const urlObj = new URL(url);
+  const target = urlObj.pathname + urlObj.search;
+
+  if (urlObj.pathname === '/robots.txt') return true;
+  if (robotsRules.disallowAll) return false;
+
+  let bestMatch = null;
+  robotsRules.rules.forEach((rule) => {
+    if (!rule.pattern.test(target)) return;
+    // On equally long matches Allow takes precedence over Disallow
+    if (
+      !bestMatch ||
+      rule.path.length > bestMatch.path.length ||
+      (rule.path.length === bestMatch.path.length && rule.allow)
+    ) {
+      bestMatch = rule;
+    }
+  });
+
+  return !bestMatch || bestMatch.allow;
+}
+
+module.exports = {
+  ROBOTS_USER_AGENT,
+  parseRobotsTxt,
+  selectRobotsRules,
+  loadRobotsRules,
+  isAllowedByRobots
+};
@@ -0,0 +1,151 @@
+const path = require('path');
+
+// Test runners bundled with pa11y
+const RUNNERS = ['axe', 'htmlcs'];
+
+// Most severe first, a merged issue keeps the most severe type of its runners
+const TYPE_ORDER = ['error', 'warning', 'notice'];
+
+// WCAG success criteria of each axe rule, read from its tags on first use
+let axeCriteria = null;
+
+// Function to map axe rule ids to success criteria, using the axe-core pa11y injects
+function getAxeCriteria() {
+  if (!axeCriteria) {
+    const axe = require(require.resolve('axe-core', {
+      paths: [path.dirname(require.resolve('pa11y/package.json'))]
+    }));
+    axeCriteria = new Map(
+      axe.getRules().map((rule) => [
+        rule.ruleId,
+        rule.tags
+          .map((tag) => /^wcag(\d)(\d)(\d+)$/.exec(tag))
+          .filter(Boolean)
+          .map((match) => `${match[1]}.${match[2]}.${match[3]}`)
+      ])
+    );
+  }
+  return axeCriteria;
+}
+
+// Function to find the WCAG success criteria an issue fails, like 1.4.3
+function getSuccessCriteria(issue) {
+  if (issue.runner === 'axe') {
+    return getAxeCriteria().get(issue.code) || [];
+  }
+
+  // HTML_CodeSniffer codes name it, like WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail
+  const criterion = String(issue.code)
+    .split('.')
+    .find((part) => /^\d+_\d+_\d+$/.test(part));
+  return criterion ? [criterion.replace(/_/g, '.')] : [];
+}
+
+// Function to identify the element each selector matches, runners write different selectors for it
+async function getElementKeys(page, selectors) {
+  const ids = await page
+    .evaluate((list) => {
+      const elements = [];
+      return list.map((selector) => {
+        let element = null;
+        try {
+          element = document.querySelector(selector);
+        } catch (error) {
+          // Left to a plain selector comparison
+        }
+        if (!element) return null;
+        if (!elements.includes(element)) elements.push(element);
+        return elements.indexOf(element);
+      });
+    }, selectors)
+    .catch(() => null);
+
+  return new Map(
+    selectors.map((selector, index) => [
+      selector,
+      ids && ids[index] !== null && ids[index] !== undefined
+        ? `element ${ids[index]}`
+        : `selector ${selector}`
+    ])
+  );
+}
+
+// Function to merge the findings of several runners on the same element and success criterion
+async function mergeRunnerIssues(page, issues, runners) {
+  const selectors = [
+    ...new Set(issues.map((issue) => issue.selector).filter(Boolean))
+  ];
+  const elementKeys = await getElementKeys(page, selectors);
+
+  // The first runner of --runners gives a merged issue its code and message
+  const ordered = [...issues].sort(
+    (a, b) => runners.indexOf(a.runner) - runners.indexOf(b.runner)
+  );
+
+  const merged = [];
+  ordered.forEach((issue) => {
+    const key = issue.selector ? elementKeys.get(issue.selector) : null;
+    const criteria = getSuccessCriteria(issue);
+    const match =
+      key &&
+      merged.find(
+        (entry) =>
+          entry.key === key &&
+          !entry.issue.runners.includes(issue.runner) &&
+          entry.criteria.some((criterion) => criteria.includes(criterion))
+      );
+
+    if (!match) {
+      merged.push({
+        key,
+        criteria,
+        issue: { ...issue, runners: [issue.runner], codes: [issue.code] }
+      });
+      return;
+    }
+
+    match.issue.runners.push(issue.runner);
+    match.issue.codes.push(issue.code);
+    if (TYPE_ORDER.indexOf(issue.type) < TYPE_ORDER.indexOf(match.issue.type)) {
+      match.issue.type = issue.type;
+      match.issue.typeCode = issue.typeCode;
+    }
+  });
+
+  return merged.map((entry) => entry.issue);
+}
+
+// Function to total the issues each runner found, and those no other runner found
+function buildRunnerTotals(reportData, runners) {
+  const totals = runners.map((runner) => ({
+    runner,
+    issues: 0,
+    errors: 0,
+    warnings: 0,
+    notices: 0,
+    only: 0
+  }));
+
+  reportData.forEach((data) => {
+    if (!data || !data.results) return;
+
+    data.results.issues.forEach((issue) => {
+      const issueRunners = issue.runners || [issue.runner];
+      totals
+        .filter((entry) => issueRunners.includes(entry.runner))
+        .forEach((entry) => {
+          entry.issues++;
+          if (`${issue.type}s` in entry) entry[`${issue.type}s`]++;
+          if (issueRunners.length === 1) entry.only++;
+        });
+    });
+  });
+
+  return totals;
+}
+
+module.exports = {
+  RUNNERS,
+  mergeRunnerIssues,
+  buildRunnerTotals
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outline colours of the issue types, the same as in the HTML reports
+const SEVERITY_COLORS = {
+  error: '#e74c3c',
+  warning: '#f39c12',
+  notice: '#3498db'
+};
+
+// Most severe issues first, so the crop limit keeps the errors
+const SEVERITY_ORDER = ['error', 'warning', 'notice'];
+
+// Helper function to outline the failing elements, inside their box so crops include it
+function outlineElements(page, outlines) {
+  return page.evaluate((items) => {
+    items.forEach(({ selector, color }) => {
+      try {
+        document.querySelectorAll(selector).forEach((element) => {
+          element.style.setProperty(
+            'outline',
+            `3px solid ${color}`,
+            'important'
+          );
+          element.style.setProperty('outline-offset', '-3px', 'important');
+        });
+      } catch (error) {
+        // pa11y selectors are valid CSS, but a page can still reject one
+      }
+    });
+  }, outlines);
+}
+
+// Function to screenshot a tested page and crop its failing elements, annotating the issues
+async function captureScreenshots(
+  page,
+  results,
+  reportDir,
+  config,
+  subDir = 'screenshots'
+) {
+  const { maxHeight, maxCrops } = config.screenshots;
+  const screenshotDir = path.join(config.outputDir, reportDir, subDir);
+  fs.mkdirSync(screenshotDir, { recursive: true });
+
+  const issues = results.issues
+    .filter((issue) => issue.selector)
+    .sort(
+      (a, b) => SEVERITY_ORDER.indexOf(a.type) - SEVERITY_ORDER.indexOf(b.type)
+    );
+  await outlineElements(
+    page,
+    issues.map((issue) => ({
+      selector: issue.selector,
+      color: SEVERITY_COLORS[issue.type] || SEVERITY_COLORS.notice
+    }))
+  );
+
+  // Long pages are cut off at the height limit
+  const size = await page.evaluate(() => ({
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight
+  }));
+  await page.screenshot({
+    path: path.join(screenshotDir, 'page.png'),
+    ...(size && size.height > maxHeight
+      ? {
+          clip: { x: 0, y: 0, width: size.width, height: maxHeight },
+          captureBeyondViewport: true
+        }
+      : { fullPage: true })
+  });
+
+  let crops = 0;
+  for (const issue of issues) {
+    if (crops >= maxCrops) break;
+
+    const element = await page.$(issue.selector).catch(() => null);
+    const box = element ? await element.boundingBox() : null;
+    // Hidden elements have no box, and huge ones are already in the page shot
+    if (!box || box.width === 0 || box.height === 0 || box.height > maxHeight)
+      continue;
+
+    crops++;
+    const fileName = `issue-${crops}.png`;
+    await element.screenshot({ path: path.join(screenshotDir, fileName) });
+    issue.screenshot = `${subDir}/${fileName}`;
+  }
+
+  return `${subDir}/page.png`;
+}
+
+module.exports = {
+  SEVERITY_COLORS,
+  captureScreenshots
+};
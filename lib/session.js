@@ -0,0 +1,173 @@
+const runPa11yAction = require('pa11y/lib/action');
+const { URL } = require('url');
+const { ROBOTS_USER_AGENT } = require('./robots');
+const { applyProfile } = require('./profiles');
+
+// sameSite values puppeteer accepts, keyed by how browser extensions export them
+const SAME_SITE_VALUES = {
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None',
+  no_restriction: 'None'
+};
+
+// Function to read a cookie jar in JSON or Netscape cookies.txt format
+function parseCookieJar(text) {
+  if (text.trim().startsWith('[')) {
+    return JSON.parse(text).map((cookie) => {
+      const sameSite = SAME_SITE_VALUES[String(cookie.sameSite).toLowerCase()];
+      return {
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        path: cookie.path || '/',
+        expires: cookie.expires || cookie.expirationDate || -1,
+        httpOnly: Boolean(cookie.httpOnly),
+        secure: Boolean(cookie.secure),
+        ...(sameSite && { sameSite })
+      };
+    });
+  }
+
+  return text
+    .split(/\r?\n/)
+    .map((line) => {
+      // curl marks HttpOnly cookies with a prefix on an otherwise comment line
+      const httpOnly = line.startsWith('#HttpOnly_');
+      return { httpOnly, line: httpOnly ? line.slice(10) : line };
+    })
+    .filter(({ line }) => line.trim() && !line.startsWith('#'))
+    .map(({ httpOnly, line }) => {
+      const [domain, , cookiePath, secure, expires, name, value = ''] =
+        line.split('\t');
+      if (!name) throw new Error(`Invalid cookies.txt line "${line}"`);
+      return {
+        name,
+        value,
+        domain,
+        path: cookiePath,
+        expires: Number(expires) || -1,
+        httpOnly,
+        secure: secure === 'TRUE'
+      };
+    });
+}
+
+// Function to check whether a URL is the configured login page
+function isLoginPage(config, url) {
+  if (!config.auth.loginUrl) return false;
+
+  const loginUrl = new URL(config.auth.loginUrl);
+  const urlObj = new URL(url);
+  return (
+    urlObj.origin === loginUrl.origin &&
+    urlObj.pathname.replace(/\/$/, '') === loginUrl.pathname.replace(/\/$/, '')
+  );
+}
+
+// Function to get the headers sent with direct requests like robots.txt
+function getRequestHeaders(config) {
+  const headers = { 'User-Agent': ROBOTS_USER_AGENT, ...config.auth.headers };
+  if (config.auth.basicAuth) {
+    const { username, password } = config.auth.basicAuth;
+    headers.Authorization = `Basic ${Buffer.from(
+      `${username}:${password}`
+    ).toString('base64')}`;
+  }
+  return headers;
+}
+
+// Function to check whether a request goes to one of the hosts being crawled
+function isCrawledHost(url, config) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  return (
+    ['http:', 'https:'].includes(urlObj.protocol) &&
+    config.allowedHostPatterns.some((pattern) => pattern.test(urlObj.host))
+  );
+}
+
+// Function to open a browser page that carries the crawl's session
+async function createSessionPage(
+  browser,
+  config,
+  profile = config.profiles[0]
+) {
+  const page = await browser.newPage();
+  await applyProfile(page, profile);
+
+  // Extra headers such as Authorization only go to the crawled hosts, never to CDNs or analytics
+  if (Object.keys(config.auth.headers).length > 0) {
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      request
+        .continue(
+          isCrawledHost(request.url(), config)
+            ? { headers: { ...request.headers(), ...config.auth.headers } }
+            : {}
+        )
+        .catch(() => {});
+    });
+  }
+  if (config.auth.basicAuth) {
+    await page.authenticate(config.auth.basicAuth);
+  }
+
+  // pa11y 6 still calls the Node EventEmitter removeListener on pages it is
+  // given, which current puppeteer pages only provide as off
+  if (!page.removeListener) page.removeListener = page.off.bind(page);
+
+  return page;
+}
+
+// Function to establish the session once, before anything is crawled
+async function logIn(browser, config, onWarning) {
+  if (config.auth.cookies.length > 0) {
+    await browser.setCookie(...config.auth.cookies);
+  }
+
+  if (!config.auth.loginActions.length && !config.auth.loginScript) return;
+
+  const page = await createSessionPage(browser, config);
+  try {
+    if (config.auth.loginUrl) {
+      await page.goto(config.auth.loginUrl, {
+        waitUntil: 'networkidle2',
+        timeout: config.timeout
+      });
+    }
+
+    // Run the actions the same way pa11y does, so the syntax is identical
+    const actionOptions = {
+      log: { debug: () => {}, info: () => {}, error: () => {} }
+    };
+    for (const action of config.auth.loginActions) {
+      await runPa11yAction(browser, page, actionOptions, action);
+    }
+
+    if (config.auth.loginScript) {
+      await config.auth.loginScript(page, { browser, config });
+    }
+
+    if (config.auth.loginUrl && isLoginPage(config, page.url())) {
+      onWarning(
+        'Still on the login page after logging in, check the credentials'
+      );
+    }
+  } finally {
+    await page.close();
+  }
+}
+
+module.exports = {
+  parseCookieJar,
+  isLoginPage,
+  getRequestHeaders,
+  createSessionPage,
+  logIn
+};
@@ -0,0 +1,81 @@
+const zlib = require('zlib');
+
+// Helper function to decode the XML entities allowed in sitemap text
+function decodeXmlEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Function to parse the <sitemap> and <url> entries of a sitemap document
+function parseSitemap(xml) {
+  const readEntries = (tag) =>
+    Array.from(
+      xml.matchAll(new RegExp(`<${tag}[\\s>]([\\s\\S]*?)</${tag}>`, 'gi'))
+    ).map(([, body]) => {
+      const loc = /<loc>([\s\S]*?)<\/loc>/i.exec(body);
+      const lastmod = /<lastmod>([\s\S]*?)<\/lastmod>/i.exec(body);
+      return {
+        loc: loc ? decodeXmlEntities(loc[1]) : null,
+        lastmod: lastmod ? new Date(decodeXmlEntities(lastmod[1])) : null
+      };
+    });
+
+  return {
+    sitemaps: readEntries('sitemap').filter((entry) => entry.loc),
+    urls: readEntries('url').filter((entry) => entry.loc)
+  };
+}
+
+// Function to download a sitemap, unpacking it when gzipped
+async function fetchSitemap(sitemapUrl, requestOptions) {
+  const response = await fetch(sitemapUrl, {
+    headers: requestOptions.headers,
+    signal: AbortSignal.timeout(requestOptions.timeout)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const body = Buffer.from(await response.arrayBuffer());
+  // Check the gzip magic bytes, servers often send .gz files as octet-stream
+  const isGzip = body.length > 2 && body[0] === 0x1f && body[1] === 0x8b;
+  return (isGzip ? zlib.gunzipSync(body) : body).toString('utf8');
+}
+
+// Function to collect page URLs from a sitemap, following sitemap indexes
+async function loadSitemapUrls(sitemapUrl, options, seenSitemaps = new Set()) {
+  if (seenSitemaps.has(sitemapUrl)) return [];
+  seenSitemaps.add(sitemapUrl);
+
+  let entries;
+  try {
+    entries = parseSitemap(await fetchSitemap(sitemapUrl, options));
+  } catch (error) {
+    options.onWarning(`Could not read sitemap ${sitemapUrl}: ${error.message}`);
+    return [];
+  }
+
+  // Entries without a valid lastmod are always kept
+  const isFresh = ({ lastmod }) =>
+    !options.since ||
+    !lastmod ||
+    Number.isNaN(lastmod.getTime()) ||
+    lastmod >= options.since;
+
+  const urls = entries.urls.filter(isFresh).map(({ loc }) => loc);
+  for (const child of entries.sitemaps.filter(isFresh)) {
+    urls.push(...(await loadSitemapUrls(child.loc, options, seenSitemaps)));
+  }
+  return urls;
+}
+
+module.exports = {
+  parseSitemap,
+  loadSitemapUrls
+};
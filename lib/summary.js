@@ -0,0 +1,305 @@
+const { categorizeIssues } = require('./issues');
+const { buildRunnerTotals } = require('./runners');
+
+// Exit codes used by the CLI, documented in the readme
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FATAL: 1,
+  ERRORS_THRESHOLD: 2,
+  WARNINGS_THRESHOLD: 3,
+  PAGE_ERRORS_THRESHOLD: 4,
+  PAGES_NOT_ANALYZED: 5,
+  NEW_ERRORS_THRESHOLD: 6,
+  INCOMPLETE: 7,
+  INTERRUPTED: 130
+};
+
+// How many of the worst pages and sample elements each top issue keeps
+const TOP_ISSUE_PAGES = 5;
+const TOP_ISSUE_SAMPLES = 3;
+
+// Function to aggregate the issues of every page by pa11y rule code
+function buildTopIssues(reportData) {
+  const byCode = new Map();
+
+  reportData.forEach((data) => {
+    if (!data || !data.results) return;
+
+    data.results.issues.forEach((issue) => {
+      if (!byCode.has(issue.code)) {
+        byCode.set(issue.code, {
+          code: issue.code,
+          type: issue.type,
+          message: issue.message,
+          occurrences: 0,
+          pages: new Map(),
+          samples: []
+        });
+      }
+      const entry = byCode.get(issue.code);
+      entry.occurrences++;
+
+      const page = entry.pages.get(data.url) || {
+        url: data.url,
+        reportDir: data.reportDir,
+        occurrences: 0
+      };
+      page.occurrences++;
+      entry.pages.set(data.url, page);
+
+      // Samples show different elements, not the same one on every page
+      if (
+        entry.samples.length < TOP_ISSUE_SAMPLES &&
+        !entry.samples.some((sample) => sample.selector === issue.selector)
+      ) {
+        entry.samples.push({
+          selector: issue.selector,
+          context: issue.context,
+          url: data.url,
+          reportDir: data.reportDir
+        });
+      }
+    });
+  });
+
+  return [...byCode.values()]
+    .map(({ pages, samples, ...entry }) => ({
+      ...entry,
+      pagesAffected: pages.size,
+      worstPages: [...pages.values()]
+        .sort((a, b) => b.occurrences - a.occurrences)
+        .slice(0, TOP_ISSUE_PAGES),
+      samples
+    }))
+    .sort(
+      (a, b) =>
+        b.occurrences - a.occurrences || b.pagesAffected - a.pagesAffected
+    );
+}
+
+// Function to list the internal links that answered with an HTTP error, and the pages linking to them
+function buildBrokenLinks(reportData, failedPages) {
+  const byUrl = new Map();
+  failedPages
+    .filter((failure) => failure.status >= 400)
+    .forEach((failure) => {
+      const brokenLink = {
+        url: failure.url,
+        status: failure.status,
+        category: failure.category,
+        linkedFrom: []
+      };
+      // A link to any URL of the redirect chain ends on the error
+      const response = failure.response || { redirects: [] };
+      [
+        failure.url,
+        response.finalUrl,
+        ...response.redirects.map((redirect) => redirect.url)
+      ]
+        .filter(Boolean)
+        .forEach((url) => {
+          if (!byUrl.has(url)) byUrl.set(url, brokenLink);
+        });
+    });
+
+  const brokenLinks = new Set();
+  reportData.forEach((data) => {
+    if (!data || !data.links) return;
+
+    data.links.forEach((link) => {
+      const brokenLink = byUrl.get(link);
+      if (!brokenLink) return;
+      if (!brokenLink.linkedFrom.some((page) => page.url === data.url)) {
+        brokenLink.linkedFrom.push({
+          url: data.url,
+          reportDir: data.reportDir
+        });
+      }
+      brokenLinks.add(brokenLink);
+    });
+  });
+
+  return [...brokenLinks].sort(
+    (a, b) => b.linkedFrom.length - a.linkedFrom.length
+  );
+}
+
+// Function to combine per-page results into site-wide totals
+function buildSummaryData(reportData, runners = [], failedPages = []) {
+  // Combine all issues with proper categorization
+  const summaryData = {
+    totalPages: reportData.length,
+    totalIssues: 0,
+    totalErrors: 0,
+    totalWarnings: 0,
+    totalNotices: 0,
+    totalNewIssues: 0,
+    totalNewErrors: 0,
+    totalFixed: 0,
+    totalSuppressed: 0,
+    pageDetails: [],
+    origins: [],
+    topIssues: [],
+    runners: [],
+    totalFailed: failedPages.length,
+    failureCategories: {},
+    linkErrors: [],
+    brokenLinks: []
+  };
+  const originTotals = new Map();
+
+  reportData.forEach((data) => {
+    if (!data || !data.results) return;
+
+    // Use the same categorization function
+    const { errors, warnings, notices } = categorizeIssues(data.results);
+
+    summaryData.totalIssues += data.results.issues.length;
+    summaryData.totalErrors += errors.length;
+    summaryData.totalWarnings += warnings.length;
+    summaryData.totalNotices += notices.length;
+
+    const pageDetail = {
+      url: data.url,
+      origin: new URL(data.url).origin,
+      reportDir: data.reportDir,
+      issues: data.results.issues.length,
+      errors: errors.length,
+      warnings: warnings.length,
+      notices: notices.length,
+      suppressed: (data.suppressedIssues || []).length
+    };
+    summaryData.totalSuppressed += pageDetail.suppressed;
+
+    if (data.comparison) {
+      const isNew = (issue) => issue.baselineStatus === 'new';
+      pageDetail.newIssues = data.results.issues.filter(isNew).length;
+      pageDetail.newErrors = errors.filter(isNew).length;
+      pageDetail.fixed = data.comparison.fixed.length;
+
+      summaryData.totalNewIssues += pageDetail.newIssues;
+      summaryData.totalNewErrors += pageDetail.newErrors;
+      summaryData.totalFixed += pageDetail.fixed;
+    }
+
+    summaryData.pageDetails.push(pageDetail);
+
+    // Per-origin totals for crawls that span several hosts
+    if (!originTotals.has(pageDetail.origin)) {
+      originTotals.set(pageDetail.origin, {
+        origin: pageDetail.origin,
+        pages: 0,
+        issues: 0,
+        errors: 0,
+        warnings: 0,
+        notices: 0,
+        ...(data.comparison && { newIssues: 0, newErrors: 0, fixed: 0 })
+      });
+    }
+    const totals = originTotals.get(pageDetail.origin);
+    totals.pages++;
+    [
+      'issues',
+      'errors',
+      'warnings',
+      'notices',
+      'newIssues',
+      'newErrors',
+      'fixed'
+    ]
+      .filter((key) => key in totals && key in pageDetail)
+      .forEach((key) => {
+        totals[key] += pageDetail[key];
+      });
+  });
+  summaryData.origins = [...originTotals.values()];
+
+  // Pages not analyzed per category, and analyzed pages whose links are missing
+  // Failures saved by older versions have no category
+  failedPages.forEach(({ category = 'crash' }) => {
+    summaryData.failureCategories[category] =
+      (summaryData.failureCategories[category] || 0) + 1;
+  });
+  summaryData.linkErrors = reportData
+    .filter((data) => data && data.linkError)
+    .map(({ url, reportDir, linkError }) => ({
+      url,
+      reportDir,
+      error: linkError
+    }));
+  summaryData.brokenLinks = buildBrokenLinks(reportData, failedPages);
+  summaryData.topIssues = buildTopIssues(reportData);
+  // Per-runner totals only tell something when several runners ran
+  if (runners.length > 1) {
+    summaryData.runners = buildRunnerTotals(reportData, runners);
+  }
+
+  return summaryData;
+}
+
+// Function to check the summary against the configured CI thresholds
+function evaluateThresholds(config, summaryData, failedPages) {
+  const { thresholds } = config;
+  const breaches = [];
+
+  if (
+    thresholds.errors !== null &&
+    summaryData.totalErrors > thresholds.errors
+  ) {
+    breaches.push({
+      exitCode: EXIT_CODES.ERRORS_THRESHOLD,
+      message: `Total errors (${summaryData.totalErrors}) exceed --fail-on-errors ${thresholds.errors}`
+    });
+  }
+
+  if (
+    thresholds.warnings !== null &&
+    summaryData.totalWarnings > thresholds.warnings
+  ) {
+    breaches.push({
+      exitCode: EXIT_CODES.WARNINGS_THRESHOLD,
+      message: `Total warnings (${summaryData.totalWarnings}) exceed --fail-on-warnings ${thresholds.warnings}`
+    });
+  }
+
+  if (thresholds.errorsPerPage !== null) {
+    const pagesOverLimit = summaryData.pageDetails.filter(
+      (page) => page.errors > thresholds.errorsPerPage
+    );
+    if (pagesOverLimit.length > 0) {
+      breaches.push({
+        exitCode: EXIT_CODES.PAGE_ERRORS_THRESHOLD,
+        message: `${
+          pagesOverLimit.length
+        } page(s) exceed --max-errors-per-page ${
+          thresholds.errorsPerPage
+        }: ${pagesOverLimit.map((page) => page.url).join(', ')}`
+      });
+    }
+  }
+
+  if (
+    thresholds.newErrors !== null &&
+    summaryData.totalNewErrors > thresholds.newErrors
+  ) {
+    breaches.push({
+      exitCode: EXIT_CODES.NEW_ERRORS_THRESHOLD,
+      message: `New errors since baseline (${summaryData.totalNewErrors}) exceed --fail-on-new-errors ${thresholds.newErrors}`
+    });
+  }
+
+  if (thresholds.pagesNotAnalyzed && failedPages.length > 0) {
+    breaches.push({
+      exitCode: EXIT_CODES.PAGES_NOT_ANALYZED,
+      message: `${failedPages.length} page(s) could not be analyzed`
+    });
+  }
+
+  return breaches;
+}
+
+module.exports = {
+  EXIT_CODES,
+  buildSummaryData,
+  evaluateThresholds
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const { compileUrlPattern } = require('./urls');
+
+// Fields a suppression entry may have, at least one of the matchers is required
+const MATCHERS = ['code', 'selector', 'url'];
+const FIELDS = [...MATCHERS, 'justification', 'owner', 'expires'];
+
+// Function to turn an expiry date into the moment the suppression stops applying
+function parseExpiry(expires) {
+  const date = new Date(expires);
+  if (Number.isNaN(date.getTime())) return null;
+
+  // A bare date still applies on that day
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(expires).trim())
+    ? new Date(date.getTime() + 24 * 60 * 60 * 1000)
+    : date;
+}
+
+// Function to check one suppression entry and compile its matchers
+function compileSuppression(entry, index, now) {
+  const where = `suppressions[${index}]`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  const unknownKey = Object.keys(entry).find((key) => !FIELDS.includes(key));
+  if (unknownKey) {
+    throw new Error(`${where} has unknown key "${unknownKey}"`);
+  }
+  if (!MATCHERS.some((key) => entry[key])) {
+    throw new Error(`${where} must match by code, selector and/or url`);
+  }
+  ['justification', 'owner'].forEach((key) => {
+    if (typeof entry[key] !== 'string' || !entry[key].trim()) {
+      throw new Error(`${where} needs a ${key}`);
+    }
+  });
+
+  let expiresAt = null;
+  if (entry.expires) {
+    expiresAt = parseExpiry(entry.expires);
+    if (!expiresAt) {
+      throw new Error(
+        `${where} has an invalid expires date - ${entry.expires}`
+      );
+    }
+  }
+
+  // Rule codes may end in * to cover a whole group of rules
+  const code = entry.code ? String(entry.code) : null;
+  const matchesCode = !code
+    ? () => true
+    : code.endsWith('*')
+    ? (issueCode) => issueCode.startsWith(code.slice(0, -1))
+    : (issueCode) => issueCode === code;
+  const matchesUrl = entry.url ? compileUrlPattern(entry.url) : () => true;
+
+  return {
+    index,
+    code,
+    selector: entry.selector || null,
+    url: entry.url ? String(entry.url) : null,
+    justification: entry.justification,
+    owner: entry.owner,
+    expires: entry.expires || null,
+    expired: expiresAt !== null && expiresAt <= now,
+    // An issue merged from several runners has the rule code of each
+    matches: (issue, pageUrl) =>
+      (issue.codes || [issue.code]).some(matchesCode) &&
+      (!entry.selector || issue.selector === entry.selector) &&
+      matchesUrl(pageUrl)
+  };
+}
+
+// Function to load the suppressions from a JSON file, or take them as an array
+function loadSuppressions(source, now = new Date()) {
+  const entries = Array.isArray(source)
+    ? source
+    : JSON.parse(fs.readFileSync(source, 'utf8'));
+  if (!Array.isArray(entries)) {
+    throw new Error(`${source} must contain a JSON array`);
+  }
+
+  return {
+    path: Array.isArray(source) ? null : source,
+    entries: entries.map((entry, index) =>
+      compileSuppression(entry, index, now)
+    )
+  };
+}
+
+// Function to move a page's suppressed issues out of its results, expired entries no longer apply
+function applySuppressions(suppressions, url, results) {
+  const active = suppressions.entries.filter((entry) => !entry.expired);
+  const suppressedIssues = [];
+
+  results.issues = results.issues.filter((issue) => {
+    const entry = active.find((candidate) => candidate.matches(issue, url));
+    if (!entry) return true;
+
+    suppressedIssues.push({
+      ...issue,
+      suppression: {
+        index: entry.index,
+        justification: entry.justification,
+        owner: entry.owner,
+        expires: entry.expires
+      }
+    });
+    return false;
+  });
+
+  return suppressedIssues;
+}
+
+// Function to count how often each suppression was used, to find stale entries
+function summarizeSuppressions(suppressions, reportData) {
+  const uses = new Map();
+  reportData.forEach((data) => {
+    (data.suppressedIssues || []).forEach(({ suppression }) => {
+      uses.set(suppression.index, (uses.get(suppression.index) || 0) + 1);
+    });
+  });
+
+  return suppressions.entries.map(({ matches, ...entry }) => ({
+    ...entry,
+    matched: uses.get(entry.index) || 0,
+    // Expired entries are reported as expired, not as stale
+    stale: !entry.expired && !uses.has(entry.index)
+  }));
+}
+
+module.exports = {
+  loadSuppressions,
+  applySuppressions,
+  summarizeSuppressions
+};
@@ -0,0 +1,39 @@
+// Function to create the politeness gate that page requests wait on
+function createThrottle(config, getCrawlDelay) {
+  const requestTimes = [];
+  let requestSlot = Promise.resolve();
+  let lastRequestTime = 0;
+
+  // Function to wait until the politeness settings allow another page request
+  return function waitForRequestSlot() {
+    // Chain the waits so concurrent pages take turns
+    requestSlot = requestSlot.then(async () => {
+      const delay = Math.max(config.delay, getCrawlDelay() * 1000);
+      let wait = lastRequestTime + delay - Date.now();
+
+      // Only requests from the last minute count towards the rate limit
+      while (requestTimes.length > 0 && requestTimes[0] <= Date.now() - 60000) {
+        requestTimes.shift();
+      }
+      if (
+        config.maxRequestsPerMinute &&
+        requestTimes.length >= config.maxRequestsPerMinute
+      ) {
+        wait = Math.max(wait, requestTimes[0] + 60000 - Date.now());
+      }
+
+      if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+
+      lastRequestTime = Date.now();
+      requestTimes.push(lastRequestTime);
+    });
+
+    return requestSlot;
+  };
+}
+
+module.exports = {
+  createThrottle
+};
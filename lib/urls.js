@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const path = require('path');
+const { URL } = require('url');
+const { isAllowedByRobots } = require('./robots');
+const { isLoginPage } = require('./session');
+
+// Common non-HTML resources
+const EXCLUDED_EXTENSIONS = [
+  '.css',
+  '.js',
+  '.png',
+  '.jpg',
+  '.jpeg',
+  '.gif',
+  '.svg',
+  '.ico',
+  '.pdf',
+  '.zip',
+  '.mp4',
+  '.webp',
+  '.json'
+];
+
+// Function to compile an --allowed-hosts entry, * matches any run of characters
+function compileHostPattern(pattern) {
+  const source = pattern
+    .toLowerCase()
+    .split('*')
+    .map((literal) => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+// Function to check that a URL is http(s) on one of the allowed hosts
+function isAllowedHost(url, config) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') return false;
+
+  // The host includes a non-default port, so localhost:3000 can be listed
+  return config.allowedHostPatterns.some((pattern) =>
+    pattern.test(urlObj.host)
+  );
+}
+
+// Function to explain why a URL is left out of the crawl, or null when it is crawled
+function getExclusionReason(url, config, robotsRules = null) {
+  if (!isAllowedHost(url, config)) return 'outside the allowed hosts';
+
+  if (EXCLUDED_EXTENSIONS.some((ext) => url.toLowerCase().endsWith(ext)))
+    return 'not an HTML page';
+
+  // Exclude URLs with fragments (anchors)
+  if (url.includes('#')) return 'has a fragment';
+
+  // Never crawl the login page itself, or its form would be audited instead
+  if (isLoginPage(config, url)) return 'login page';
+
+  // An exclude rule wins over any include rule
+  const excludeRule = config.excludeRules.find((rule) => rule.matches(url));
+  if (excludeRule) return `matches --exclude ${excludeRule.pattern}`;
+
+  if (
+    config.includeRules.length > 0 &&
+    !config.includeRules.some((rule) => rule.matches(url))
+  ) {
+    return 'matches no --include rule';
+  }
+
+  // Respect robots.txt unless told otherwise
+  if (robotsRules && !isAllowedByRobots(robotsRules, url))
+    return 'disallowed by robots.txt';
+
+  return null;
+}
+
+// Function to check if URL should be excluded
+function shouldExcludeUrl(url, config, robotsRules = null) {
+  return getExclusionReason(url, config, robotsRules) !== null;
+}
+
+// Function to check whether a query parameter survives the normalization rules
+function isParamKept(key, rules) {
+  const name = key.toLowerCase();
+  const matches = (pattern) => globToRegExp(pattern.toLowerCase()).test(name);
+
+  // An allow list keeps only the parameters it names
+  return rules.allowParams
+    ? rules.allowParams.some(matches)
+    : !rules.dropParams.some(matches);
+}
+
+// Function to read the name of a raw query string pair, like print in print=1
+function decodeParamKey(pair) {
+  const key = pair.split('=')[0].replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(key);
+  } catch (error) {
+    // Malformed escapes are compared as written
+    return key;
+  }
+}
+
+// Function to normalize URL, optionally applying the crawl's normalization rules
+function normalizeUrl(url, baseUrl, rules = null) {
+  try {
+    // Handle relative URLs
+    const urlObj = new URL(url, baseUrl);
+
+    if (rules) {
+      if (rules.collapseIndex) {
+        urlObj.pathname = urlObj.pathname.replace(
+          /\/index\.(html?|php|aspx?)$/i,
+          '/'
+        );
+      }
+      if (rules.lowercasePaths) {
+        urlObj.pathname = urlObj.pathname.toLowerCase();
+      }
+
+      // Pairs keep their original encoding, so ?print stays ?print and %20 stays %20
+      const pairs = urlObj.search
+        .slice(1)
+        .split('&')
+        .filter(Boolean)
+        .map((raw) => ({ raw, key: decodeParamKey(raw) }));
+      const params = pairs.filter(({ key }) => isParamKept(key, rules));
+      // The sort is stable, so repeated keys keep their order
+      if (rules.sortQuery) {
+        params.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+      }
+      // Only a dropped or moved parameter, or an empty ?, rewrites the query string
+      if (
+        pairs.length === 0 ||
+        params.length !== pairs.length ||
+        params.some((param, index) => param !== pairs[index])
+      ) {
+        urlObj.search = params.map((param) => param.raw).join('&');
+      }
+    }
+
+    const normalizedUrl = urlObj.href;
+    // Remove trailing slash for consistency
+    return normalizedUrl.endsWith('/')
+      ? normalizedUrl.slice(0, -1)
+      : normalizedUrl;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to extract the http(s) links of a page, the crawl rules decide which are followed
+async function extractLinks(page) {
+  return await page.evaluate(() => {
+    const links = Array.from(document.querySelectorAll('a[href]'))
+      .map((a) => a.href)
+      .filter((href) => /^https?:/.test(href));
+    return [...new Set(links)]; // Remove duplicates
+  });
+}
+
+// Function to turn a URL glob into a regular expression, ** crosses slashes
+function globToRegExp(glob) {
+  const source = glob.replace(/\/\*\*(?=\/|$)|\*\*|\*|\/|[^*/]+/g, (token) => {
+    // A "/**" segment may also match nothing, so /docs/** covers /docs
+    if (token === '/**') return '(?:/.*)?';
+    if (token === '**') return '.*';
+    if (token === '*') return '[^/]*';
+    return token.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  });
+  return new RegExp(`^${source}$`);
+}
+
+// Prefix that marks a string pattern as a regular expression, /blog/ stays a path glob
+const REGEX_PREFIX = 're:';
+
+// Function to build a URL matcher from a glob, a re: string or a RegExp
+function compileUrlPattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return (url) => new RegExp(pattern.source, pattern.flags).test(url);
+  }
+
+  // Regular expressions are tested against the full URL
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    const regex = new RegExp(pattern.slice(REGEX_PREFIX.length));
+    return (url) => regex.test(url);
+  }
+
+  // Globs with a scheme match the full URL, all others the path
+  const glob = globToRegExp(pattern);
+  return pattern.includes('://')
+    ? (url) => glob.test(url)
+    : (url) => glob.test(new URL(url).pathname);
+}
+
+// Function to compile an --include or --exclude rule
+function compileUrlRule(pattern) {
+  const rule = { pattern: String(pattern) };
+  if (
+    pattern instanceof RegExp ||
+    pattern.startsWith(REGEX_PREFIX) ||
+    pattern.includes('://')
+  ) {
+    return { ...rule, matches: compileUrlPattern(pattern) };
+  }
+
+  // Paths match everything below them too, so /admin covers /admin/users but not /administrator
+  if (pattern.startsWith('/')) {
+    const prefix = pattern.replace(/\/(\*\*)?$/, '');
+    return { ...rule, matches: compileUrlPattern(`${prefix}/**`) };
+  }
+
+  // Query rules like ?sort= or page=2 match the start of any query parameter
+  if (/^[?&]|=/.test(pattern)) {
+    const query = `&${pattern.replace(/^[?&]/, '')}`;
+    return {
+      ...rule,
+      matches: (url) => `&${new URL(url).search.slice(1)}`.includes(query)
+    };
+  }
+
+  // Bare names match whole path segments anywhere, so cart spares /cartography
+  return { ...rule, matches: compileUrlPattern(`/**/${pattern}/**`) };
+}
+
+// Longest readable part of a report directory name, the hash keeps it unique
+const MAX_SLUG_LENGTH = 80;
+
+// Function to get a page's report directory, relative to the output directory
+function getPageReportDir(url) {
+  const urlObj = new URL(url);
+  let readable = urlObj.pathname + urlObj.search;
+  try {
+    readable = decodeURIComponent(readable);
+  } catch (error) {
+    // Keep malformed escapes as they are, the slug drops them anyway
+  }
+
+  // A slug of the path and query for humans, plus a hash of the full URL
+  const slug =
+    readable
+      .normalize('NFKD')
+      .replace(/[^A-Za-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, MAX_SLUG_LENGTH)
+      .replace(/-+$/, '') || 'home';
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+
+  return path.posix.join('pages', `${slug}-${hash}`);
+}
+
+module.exports = {
+  getExclusionReason,
+  shouldExcludeUrl,
+  normalizeUrl,
+  extractLinks,
+  compileHostPattern,
+  compileUrlPattern,
+  compileUrlRule,
+  getPageReportDir
+};
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+// Helper function to escape HTML
+function escapeHtml(text) {
+  if (typeof text !== 'string') return String(text);
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Helper function to escape XML, dropping characters XML 1.0 cannot hold
+function escapeXml(text) {
+  if (text === null || text === undefined) return '';
+  return escapeHtml(String(text)).replace(
+    /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g,
+    ''
+  );
+}
+
+// Helper function to write a report file, creating its directory first
+function writeReportFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+module.exports = {
+  escapeHtml,
+  escapeXml,
+  writeReportFile
+};
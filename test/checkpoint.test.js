@@ -0,0 +1,39 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { loadCheckpoint, openCheckpoint } = require('../lib/checkpoint');
+
+// Function to leave a half written entry at the end of the checkpoint, as a crash does
+function tearLastLine(checkpointPath) {
+  fs.appendFileSync(checkpointPath, '{"type":"queued","url":"https://exa');
+}
+
+test('resuming twice over a torn last line keeps the checkpoint readable', () => {
+  const config = {
+    outputDir: fs.mkdtempSync(path.join(os.tmpdir(), 'pa11y-crawler-')),
+    startUrls: ['https://example.com/']
+  };
+
+  try {
+    const first = openCheckpoint(config, new Date(), false);
+    first.record({ type: 'queued', url: 'https://example.com/', depth: 0 });
+    tearLastLine(first.path);
+
+    const second = openCheckpoint(config, new Date(), true);
+    second.record({ type: 'queued', url: 'https://example.com/a', depth: 1 });
+    tearLastLine(second.path);
+
+    const third = openCheckpoint(config, new Date(), true);
+    third.record({ type: 'queued', url: 'https://example.com/b', depth: 1 });
+
+    const saved = loadCheckpoint(config);
+    assert.deepStrictEqual(
+      saved.queued.map((entry) => entry.url),
+      ['https://example.com/', 'https://example.com/a', 'https://example.com/b']
+    );
+  } finally {
+    fs.rmSync(config.outputDir, { recursive: true, force: true });
+  }
+});
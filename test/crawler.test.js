@@ -0,0 +1,117 @@
+const assert = require('assert');
+const fs = require('fs');
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+
+// pa11y is replaced by a stub that takes as long as the page says
+const site = {};
+const events = [];
+const loadModule = Module._load;
+Module._load = function (request, ...rest) {
+  if (request !== 'pa11y') return loadModule.call(this, request, ...rest);
+  return async (url) => {
+    events.push(`start ${url}`);
+    await new Promise((resolve) => setTimeout(resolve, site[url].delay || 0));
+    events.push(`end ${url}`);
+    return { documentTitle: url, pageUrl: url, issues: [] };
+  };
+};
+const { createCrawler, EXIT_CODES } = require('..');
+
+// Function to fake a puppeteer browser serving the pages of site
+function createFakeBrowser() {
+  return {
+    async newPage() {
+      let current = 'about:blank';
+      return {
+        async setViewport() {},
+        async close() {},
+        on() {},
+        off() {},
+        url: () => current,
+        async goto(url) {
+          current = url;
+          return {
+            status: () => 200,
+            url: () => url,
+            headers: () => ({ 'content-type': 'text/html' }),
+            request: () => ({ redirectChain: () => [] })
+          };
+        },
+        async evaluate(fn) {
+          return String(fn).includes('a[href]')
+            ? site[current].links || []
+            : null;
+        }
+      };
+    },
+    async close() {}
+  };
+}
+
+// Function to crawl the fake site, returning the results and the crawler
+async function crawl(options, onCrawler = () => {}) {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pa11y-crawler-'));
+  try {
+    const crawler = createCrawler({
+      url: 'https://example.com/',
+      output: outputDir,
+      format: 'json',
+      ignoreRobots: true,
+      browser: createFakeBrowser(),
+      ...options
+    });
+    onCrawler(crawler);
+    return await crawler.run();
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+test('idle workers start pages as soon as they are queued', async () => {
+  Object.assign(site, {
+    'https://example.com': {
+      links: ['https://example.com/a'],
+      delay: 300
+    },
+    'https://example.com/a': {}
+  });
+  events.length = 0;
+
+  const results = await crawl({ concurrency: 2 });
+  assert.strictEqual(results.exitCode, EXIT_CODES.SUCCESS);
+  assert.ok(
+    events.indexOf('start https://example.com/a') <
+      events.indexOf('end https://example.com'),
+    events.join(', ')
+  );
+});
+
+test('a crawl stopped by --max-duration exits as incomplete', async () => {
+  Object.assign(site, {
+    'https://example.com': {
+      links: ['https://example.com/a'],
+      delay: 200
+    },
+    'https://example.com/a': {}
+  });
+
+  const results = await crawl({ concurrency: 1, maxDuration: '50' });
+  assert.strictEqual(results.meta.stopReason, 'max-duration');
+  assert.strictEqual(results.exitCode, EXIT_CODES.INCOMPLETE);
+});
+
+test('a stopped crawl exits as interrupted', async () => {
+  Object.assign(site, {
+    'https://example.com': { links: ['https://example.com/a'] },
+    'https://example.com/a': {}
+  });
+
+  const results = await crawl({ concurrency: 1 }, (crawler) =>
+    crawler.on('pageQueued', () => crawler.stop())
+  );
+  assert.strictEqual(results.meta.stopReason, 'stopped');
+  assert.strictEqual(results.exitCode, EXIT_CODES.INTERRUPTED);
+});
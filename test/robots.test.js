@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const {
+  isAllowedByRobots,
+  parseRobotsTxt,
+  selectRobotsRules
+} = require('../lib/robots');
+
+// Function to read the rules this crawler follows from a robots.txt
+function rulesFor(text) {
+  return selectRobotsRules(parseRobotsTxt(text));
+}
+
+test('a group for another user-agent does not apply, even as a substring', () => {
+  const rules = rulesFor(
+    [
+      'User-agent: a',
+      'Disallow: /',
+      '',
+      'User-agent: pa11y',
+      'Disallow: /',
+      '',
+      'User-agent: *',
+      'Disallow: /private'
+    ].join('\n')
+  );
+  assert.strictEqual(
+    isAllowedByRobots(rules, 'https://example.com/docs'),
+    true
+  );
+  assert.strictEqual(
+    isAllowedByRobots(rules, 'https://example.com/private'),
+    false
+  );
+});
+
+test('the pa11y-crawler group applies whatever its case', () => {
+  const rules = rulesFor(
+    [
+      'User-agent: PA11Y-Crawler',
+      'Disallow: /docs',
+      '',
+      'User-agent: *',
+      'Disallow: /'
+    ].join('\n')
+  );
+  assert.strictEqual(isAllowedByRobots(rules, 'https://example.com/'), true);
+  assert.strictEqual(
+    isAllowedByRobots(rules, 'https://example.com/docs'),
+    false
+  );
+});
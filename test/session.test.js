@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { resolveOptions } = require('../lib/options');
+const { createSessionPage } = require('../lib/session');
+
+// Function to fake a puppeteer page that records how each request was continued
+function createFakePage() {
+  const page = {
+    handlers: [],
+    async setViewport() {},
+    async setRequestInterception() {},
+    on(event, handler) {
+      if (event === 'request') page.handlers.push(handler);
+    },
+    off() {},
+    request(url) {
+      const request = {
+        continued: null,
+        url: () => url,
+        headers: () => ({ accept: 'text/html' }),
+        isInterceptResolutionHandled: () => false,
+        continue: async (overrides) => {
+          request.continued = overrides;
+        }
+      };
+      page.handlers.forEach((handler) => handler(request));
+      return request;
+    }
+  };
+  return page;
+}
+
+test('extra headers only go to the crawled hosts', async () => {
+  const config = resolveOptions({
+    url: 'https://example.com/',
+    header: ['Authorization: Bearer secret']
+  });
+  const page = createFakePage();
+  await createSessionPage({ newPage: async () => page }, config);
+
+  assert.deepStrictEqual(page.request('https://example.com/a').continued, {
+    headers: { accept: 'text/html', Authorization: 'Bearer secret' }
+  });
+  assert.deepStrictEqual(
+    page.request('https://cdn.other.net/app.js').continued,
+    {}
+  );
+});
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { resolveOptions } = require('../lib/options');
+const { compileUrlRule, normalizeUrl } = require('../lib/urls');
+
+const { urlRules } = resolveOptions({ url: 'https://example.com/' });
+
+test('normalizeUrl keeps the query string as the site wrote it', () => {
+  [
+    'https://example.com/s?print',
+    'https://example.com/s?a=%2F&q=a%20b',
+    'https://example.com/s?p=a/b&q=a+b'
+  ].forEach((url) => assert.strictEqual(normalizeUrl(url, url, urlRules), url));
+});
+
+test('normalizeUrl drops tracking parameters and sorts the rest', () => {
+  assert.strictEqual(
+    normalizeUrl(
+      'https://example.com/s?utm_source=x&q=a%20b&print',
+      'https://example.com/',
+      urlRules
+    ),
+    'https://example.com/s?print&q=a%20b'
+  );
+});
+
+test('path rules match the path and everything below it', () => {
+  const { matches } = compileUrlRule('/admin');
+  assert.strictEqual(matches('https://example.com/admin'), true);
+  assert.strictEqual(matches('https://example.com/admin/users'), true);
+  assert.strictEqual(matches('https://example.com/administrator'), false);
+  assert.strictEqual(
+    compileUrlRule('/blog/').matches('https://example.com/weblog/post'),
+    false
+  );
+});
+
+test('query rules match a query parameter', () => {
+  const { matches } = compileUrlRule('?sort=');
+  assert.strictEqual(matches('https://example.com/p?a=1&sort=name'), true);
+  assert.strictEqual(matches('https://example.com/p?resort=name'), false);
+});
+
+test('include and exclude rules must be strings or RegExps', () => {
+  assert.throws(
+    () => resolveOptions({ url: 'https://example.com/', exclude: [5] }),
+    /Invalid --exclude pattern 5 - must be a string or a RegExp/
+  );
+});